@@ -1,18 +1,95 @@
 /**
- * Daily Quest Log — Optimized, Hardened & UTC Standardized
+ * Daily Quest Log — Optimized & Hardened. Days follow a configurable day clock
+ * (time zone and day start); dates are stored as YYYY-MM-DD labels.
  */
-const { Plugin, TFile, Notice, PluginSettingTab, Setting, ItemView, Modal, TFolder } = require('obsidian');
+const { Plugin, TFile, Notice, PluginSettingTab, Setting, ItemView, Modal, FuzzySuggestModal, TFolder, normalizePath, stringifyYaml } = require('obsidian');
 
 /* ========================================================================== */
 /* CONSTANTS                                                                  */
 /* ========================================================================== */
 
 const VIEW_TYPE_QUESTS = 'daily-quest-log-view';
+const VIEW_TYPE_HEATMAP = 'daily-quest-log-heatmap';
 const QUEST_LOG_FILE = 'questlog.json';
 const BACKUP_FOLDER_NAME = 'QuestLog_Backups';
-const DEFAULT_SETTINGS = { rolloverOffset: 0 };
+const HISTORY_LIMIT = 50;
+// The 60s interval doubles as a heartbeat; a longer silence means Obsidian was closed or the machine slept
+const HEARTBEAT_KEY = 'daily-quest-log-heartbeat';
+const HEARTBEAT_GAP_MINUTES = 5;
+// Estimate suggestions use the median of the most recent tracked completions
+const ESTIMATE_SAMPLE_SIZE = 10;
+const ESTIMATE_MIN_SAMPLES = 3;
+const DIFFICULTY_TIERS = [
+  { key: 'easy', label: 'Easy' },
+  { key: 'normal', label: 'Normal' },
+  { key: 'hard', label: 'Hard' },
+  { key: 'epic', label: 'Epic' },
+];
+
+const DEFAULT_SETTINGS = {
+  // Day clock: IANA time zone ('' = system local time) and the local time a new day starts at
+  timeZone: '',
+  dayStartTime: '00:00',
+  // XP formula: (base + effort) × difficulty × timing × streak
+  xpBase: 10,
+  xpPerEstimateMinute: 0.2,
+  xpPerTrackedMinute: 0,
+  xpTrackedMinutesCap: 180,
+  xpOnTimeBonus: 20,       // % bonus when finished within the estimate
+  xpOvertimePenalty: 10,   // % penalty when the estimate was exceeded
+  xpStreakBonusPerDay: 2,  // % bonus per consecutive active day
+  xpStreakBonusCap: 50,    // % maximum streak bonus
+  difficultyMultipliers: { easy: 0.75, normal: 1, hard: 1.5, epic: 2 },
+  // Quantity quests: 'proportional' scales XP by amount/target, 'bonus' adds a bonus when the target is hit
+  quantityXpMode: 'proportional',
+  quantityTargetBonus: 25, // %
+  // Daily note checklist sync (opt-in)
+  noteSyncEnabled: false,
+  noteSyncPath: 'Daily/{{date}}.md',
+  noteSyncHeading: '## Quests',
+  // Quest definitions stored as notes (one note per quest, fields in frontmatter)
+  questNotesEnabled: false,
+  questNotesFolder: 'Quests',
+  // Pomodoro: timed work blocks that auto-pause the quest (quests can opt in/out individually)
+  pomodoroEnabled: false,
+  pomodoroWorkMinutes: 25,
+  pomodoroShortBreakMinutes: 5,
+  pomodoroLongBreakMinutes: 15,
+  pomodoroLongBreakEvery: 4,
+  // Timer sessions longer than this are held for review before being booked (0 = no limit)
+  maxSessionMinutes: 180,
+  // Back-dated completions: % of the normal XP they earn, and how far back they may go (0 = no limit)
+  backdateXpPercent: 50,
+  backdateMaxDays: 7,
+  // Backup retention: newest backup of each of the last N days / weeks / months is kept (0 = none)
+  backupKeepDaily: 14,
+  backupKeepWeekly: 8,
+  backupKeepMonthly: 12,
+  // Gold earned per XP on each completion, spent on user-defined rewards
+  goldPerXp: 0.5,
+  // Accountability mode: each missed scheduled quest costs HP (or XP) at the rollover.
+  // Days before `penaltiesSince` (set when the mode is turned on) are never penalised.
+  penaltyEnabled: false,
+  penaltyMode: 'hp',
+  penaltyHp: 5,
+  penaltyXp: 10,
+  maxHp: 50,
+  hpPerCompletion: 2,
+  penaltiesSince: '',
+  // Last day judged for penalties. Kept in settings so restores, undo and clock changes never charge a day twice
+  penaltiesCheckedThrough: '',
+  // Reports: output path pattern, template note ('' = built-in template) and the last choices in the builder
+  reportPath: 'Reports/Quest-{{period}}.md',
+  reportTemplatePath: '',
+  reportPeriod: 'month',
+  reportFilter: '',
+  // Automatic reports for each week/month that closes, and the last period written for each
+  autoReportWeekly: false,
+  autoReportMonthly: false,
+  lastAutoReports: {},
+};
 
-const XP_CONFIG = { flatXp: 10, levelingBase: 100, levelingExponent: 1.5 };
+const XP_CONFIG = { levelingBase: 100, levelingExponent: 1.5 };
 
 const RANKS = [
   { name: 'Novice', icon: '🌱', minLevel: 1, maxLevel: 4, color: '#a0d9a0' },
@@ -47,7 +124,7 @@ const DAY_INDEX = Object.fromEntries(DAY_KEYS.map((k, i) => [k, i]));
 const WEEKDAYS = new Set(['mon', 'tue', 'wed', 'thu', 'fri']);
 
 /* ========================================================================== */
-/* UTILITIES (UTC STANDARDIZED)                                               */
+/* UTILITIES                                                                  */
 /* ========================================================================== */
 
  
@@ -62,12 +139,140 @@ const formatTime = (minutes) => {
   return m ? `${m}m ${s}s` : `${s}s`;
 };
 
+const shiftDate = (dateStr, days) => {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().split('T')[0];
+};
+
 const normDay = (v) => {
   const s = String(v || '').trim().toLowerCase();
   for (const k of DAY_KEYS) if (s.startsWith(k)) return k;
   return null;
 };
 
+/* ========================================================================== */
+/* DAY CLOCK                                                                  */
+/* ========================================================================== */
+
+// Dates are stored as plain YYYY-MM-DD labels and all calendar math on them is
+// UTC. Which label an instant belongs to is decided by the day clock:
+// `{ timeZone, dayStart }`, an IANA zone ('' = system local time) and the
+// minutes after local midnight at which a day begins.
+
+const zoneFormats = new Map();
+
+/** Minutes `timeZone` is ahead of UTC at `ms`. */
+const zoneOffset = (ms, timeZone) => {
+  if (!timeZone) return -new Date(ms).getTimezoneOffset();
+  if (!zoneFormats.has(timeZone)) {
+    zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }));
+  }
+  const parts = Object.fromEntries(zoneFormats.get(timeZone).formatToParts(new Date(ms)).map((p) => [p.type, Number(p.value)]));
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((wall - (ms - (ms % 60000))) / 60000);
+};
+
+const isTimeZone = (tz) => {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch { return false; }
+};
+
+/** 'HH:MM' → minutes after midnight, or null. */
+const parseClockTime = (v) => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(v || '').trim());
+  return m && +m[1] < 24 && +m[2] < 60 ? +m[1] * 60 + +m[2] : null;
+};
+
+/**
+ * Epoch ms at which day `dateStr` begins: the first instant the local clock
+ * reads its day start. If a DST change repeats that time, the first reading
+ * counts; if it skips it, the day begins when the clock jumps past it.
+ */
+const dayStartMs = (dateStr, clock) => {
+  const wall = Date.parse(dateStr) + clock.dayStart * 60000;
+  const before = zoneOffset(wall - 86400000, clock.timeZone), after = zoneOffset(wall + 86400000, clock.timeZone);
+  // A larger offset means an earlier instant for the same wall time
+  for (const offset of before >= after ? [before, after] : [after, before]) {
+    const t = wall - offset * 60000;
+    if (zoneOffset(t, clock.timeZone) === offset) return t;
+  }
+  // The day start falls in a spring-forward gap: find the minute the clock jumps
+  let lo = wall - after * 60000, hi = wall - before * 60000;
+  while (hi - lo > 60000) {
+    const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+    if (zoneOffset(mid, clock.timeZone) === before) lo = mid; else hi = mid;
+  }
+  return hi;
+};
+
+/** The day `ms` counts for: the last day whose start (see dayStartMs) is at or before it. */
+const dayOf = (ms, clock) => {
+  const wall = ms + zoneOffset(ms, clock.timeZone) * 60000 - clock.dayStart * 60000;
+  const day = new Date(wall).toISOString().slice(0, 10);
+  // The local date is off by one only next to a DST change at the day start
+  if (ms < dayStartMs(day, clock)) return shiftDate(day, -1);
+  const next = shiftDate(day, 1);
+  return ms >= dayStartMs(next, clock) ? next : day;
+};
+
+/**
+ * Re-dates everything in `log` that carries a timestamp to the day it falls
+ * on under `clock`. Timer sessions are split where they now cross a day
+ * boundary. Completions use their time, or for older ones the end of the
+ * timer session they closed; a completion that would land on a day the quest
+ * is already done keeps its date. Back-dated completions, manual time and
+ * other plain day labels (schedules, rest days, penalties) are left alone.
+ * Returns the number of entries moved.
+ */
+function redateQuestLog(log, clock) {
+  let moved = 0;
+  const lastSessionEnd = new Map();
+  for (const x of log.sessions) {
+    const key = `${x.questId}|${x.date}`;
+    if (x.end && !(lastSessionEnd.get(key) >= x.end)) lastSessionEnd.set(key, x.end);
+  }
+
+  const sessions = [];
+  for (const x of log.sessions) {
+    if (!x.start || !x.end || x.end <= x.start) { sessions.push(x); continue; }
+    const perMs = x.minutes / (x.end - x.start);
+    let start = x.start;
+    while (start < x.end) {
+      const date = dayOf(start, clock);
+      const boundary = dayStartMs(shiftDate(date, 1), clock);
+      // Always moves forward, even if a boundary were ever to come out at or before `start`
+      const end = boundary > start ? Math.min(x.end, boundary) : x.end;
+      if (date !== x.date || end !== x.end || start !== x.start) moved++;
+      sessions.push({ ...x, date, start, end, minutes: (end - start) * perMs });
+      start = end;
+    }
+  }
+  log.sessions = sessions;
+
+  for (const x of log.pomodoros) {
+    const date = x.start ? dayOf(x.start, clock) : x.date;
+    if (date !== x.date) { x.date = date; moved++; }
+  }
+  for (const r of log.redemptions) {
+    const date = r.time ? dayOf(r.time, clock) : r.date;
+    if (date !== r.date) { r.date = date; moved++; }
+  }
+
+  const doneOn = new Set(log.completions.map((c) => `${c.questId}|${c.date}`));
+  for (const c of log.completions) {
+    if (c.backdated) continue;
+    const time = c.time || lastSessionEnd.get(`${c.questId}|${c.date}`);
+    const date = time ? dayOf(time, clock) : c.date;
+    if (date === c.date || doneOn.has(`${c.questId}|${date}`)) continue;
+    doneOn.delete(`${c.questId}|${c.date}`);
+    doneOn.add(`${c.questId}|${date}`);
+    c.date = date;
+    moved++;
+  }
+  return moved;
+}
+
 /* ========================================================================== */
 /* ICONS                                                                      */
 /* ========================================================================== */
@@ -92,15 +297,17 @@ function svgIcon(name, { size = 16, stroke = 'currentColor', strokeWidth = 2, fi
 }
 
 /* ========================================================================== */
-/* SCHEDULE UTILITIES (UTC)                                                   */
+/* SCHEDULE UTILITIES (DATE LABELS)                                           */
 /* ========================================================================== */
 
-function parseSchedule(raw) {
-  const s = String(raw || '').trim().toLowerCase();
-  if (!s || s === 'daily' || s === 'all' || s === 'everyday') return { kind: 'daily', days: new Set(DAY_KEYS) };
-  if (s === 'weekdays') return { kind: 'weekdays', days: new Set(WEEKDAYS) };
-  if (s === 'weekends') return { kind: 'days', days: new Set(['sat', 'sun']) };
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, last: -1 };
+const ordinal = (n) => {
+  const v = n % 100;
+  return `${n}${(v >= 11 && v <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th')}`;
+};
+const sortDays = (days) => [...days].sort((a, b) => MON_FIRST_ORDER.indexOf(a) - MON_FIRST_ORDER.indexOf(b));
 
+function parseDaySet(s) {
   const days = new Set();
   for (const tok of s.split(/[\s,]+/).filter(Boolean)) {
     const [a, b] = tok.split('-'), A = normDay(a);
@@ -113,18 +320,779 @@ function parseSchedule(raw) {
       if (key === B) break;
     }
   }
+  return days;
+}
+
+function parseMonthlyItem(item) {
+  let m = item.match(/^(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?(?:\s+day)?$/);
+  if (m) { const n = Number(m[1]); return n >= 1 && n <= 31 ? { monthDay: n } : null; }
+  if (/^(?:the\s+)?last(?:\s+day)?$/.test(item)) return { monthDay: -1 };
+  m = item.match(/^(?:the\s+)?(\d|first|second|third|fourth|fifth|last)(?:st|nd|rd|th)?\s+(\w+)$/);
+  if (!m) return null;
+  const n = ORDINALS[m[1]] ?? Number(m[1]), day = normDay(m[2]);
+  return day && (n === -1 || (n >= 1 && n <= 5)) ? { nth: n, day } : null;
+}
+
+/**
+ * Parses a schedule string into a rule. Supported forms:
+ *   weekday sets  — "daily", "weekdays", "weekends", "mon,wed,fri", "mon-fri"
+ *   intervals     — "every 3 days", "every other week on tue", "every 2 weeks on mon,thu after completion"
+ *   monthly       — "1st and 15th of the month", "last friday of the month", "last day of the month"
+ *   one-off dates — "2026-11-03", "2026-11-03, 2026-12-01"
+ *   frequency     — "3x per week", "10 times a month" (no fixed days; due until the target is met)
+ * Unrecognised input falls back to daily. Every rule carries a `days` set for the day picker.
+ */
+function parseSchedule(raw) {
+  const s = String(raw || '').trim().toLowerCase();
+  if (!s || s === 'daily' || s === 'all' || s === 'everyday' || s === 'every day') return { kind: 'daily', days: new Set(DAY_KEYS) };
+  if (s === 'weekdays') return { kind: 'weekdays', days: new Set(WEEKDAYS) };
+  if (s === 'weekends') return { kind: 'days', days: new Set(['sat', 'sun']) };
+
+  let m = s.match(/^(\d+|once|twice)\s*(?:x|times?)?\s+(?:per|a|an|each|every)\s+(week|month)$/) || s.match(/^(\d+)\s*x\s+(week|month)ly$/);
+  if (m) {
+    const target = m[1] === 'once' ? 1 : (m[1] === 'twice' ? 2 : Number(m[1]));
+    if (target >= 1) return { kind: 'frequency', target, period: m[2], days: new Set(DAY_KEYS) };
+  }
+
+  m = s.match(/^every\s+(other|\d+)?\s*(day|week)s?(?:\s+on\s+(.+?))?(\s+after\s+(?:completion|done))?$/);
+  if (m) {
+    const every = m[1] === 'other' ? 2 : Math.max(1, Number(m[1] || 1));
+    const unit = m[2], anchor = m[4] ? 'completion' : 'created';
+    const days = unit === 'week' ? parseDaySet(m[3] || '') : new Set(DAY_KEYS);
+    if (days.size === 0) days.add('mon');
+    if (every === 1 && anchor === 'created') return unit === 'day' ? parseSchedule('daily') : { kind: 'days', days };
+    return { kind: 'interval', unit, every, anchor, days };
+  }
+
+  m = s.match(/^(?:monthly\s+on\s+)?(.+?)\s+(?:of\s+(?:the|every|each)\s+month|monthly)$/) || s.match(/^monthly\s+on\s+(.+)$/);
+  if (m) {
+    const items = m[1].replace(/^on\s+/, '').split(/\s*(?:,|&|\band\b)\s*/).filter(Boolean).map(parseMonthlyItem);
+    if (items.length && items.every(Boolean)) return { kind: 'monthly', items, days: new Set(DAY_KEYS) };
+  }
+
+  const dateToks = s.replace(/^on\s+/, '').split(/[\s,]+/).filter(Boolean);
+  if (dateToks.length && dateToks.every((t) => /^\d{4}-\d{2}-\d{2}$/.test(t) && !isNaN(Date.parse(t)))) {
+    return { kind: 'once', dates: new Set(dateToks), days: new Set(DAY_KEYS) };
+  }
+
+  const days = parseDaySet(s);
   if (days.size === 0) return { kind: 'daily', days: new Set(DAY_KEYS) };
   return { kind: 'days', days };
 }
 
+/** Canonical string for a parsed rule; `parseSchedule(formatSchedule(r))` yields the same rule. */
+function formatSchedule(rule) {
+  switch (rule.kind) {
+    case 'interval': {
+      const every = rule.every === 1 ? 'every' : (rule.every === 2 ? 'every other' : `every ${rule.every}`);
+      const unit = rule.every > 2 ? `${rule.unit}s` : rule.unit;
+      const on = rule.unit === 'week' ? ` on ${sortDays(rule.days).join(',')}` : '';
+      return `${every} ${unit}${on}${rule.anchor === 'completion' ? ' after completion' : ''}`;
+    }
+    case 'monthly':
+      return `${formatMonthlyItems(rule.items)} of the month`;
+    case 'once':
+      return [...rule.dates].sort().join(', ');
+    case 'frequency':
+      return `${rule.target}x per ${rule.period}`;
+    default:
+      return selectedDaysToSchedule(rule.days);
+  }
+}
+
+const formatMonthlyItems = (items) => items.map((it) => {
+  if (it.monthDay) return it.monthDay === -1 ? 'last day' : ordinal(it.monthDay);
+  return `${it.nth === -1 ? 'last' : ordinal(it.nth)} ${it.day}`;
+}).join(' and ');
+
+const daysBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+const weekStart = (dateStr) => shiftDate(dateStr, -((new Date(dateStr).getUTCDay() + 6) % 7));
+
+/** First and last date of the week (Mon–Sun), month or year containing `dateStr`. */
+function periodRange(period, dateStr) {
+  if (period === 'week') { const start = weekStart(dateStr); return { start, end: shiftDate(start, 6) }; }
+  if (period === 'year') return { start: `${dateStr.slice(0, 4)}-01-01`, end: `${dateStr.slice(0, 4)}-12-31` };
+  const [y, m] = dateStr.split('-').map(Number);
+  const start = `${dateStr.slice(0, 7)}-01`;
+  return { start, end: shiftDate(start, new Date(Date.UTC(y, m, 0)).getUTCDate() - 1) };
+}
+
+/**
+ * Whether a rule falls on `dateStr`. Interval rules count from `createdAt`, or
+ * from `lastCompletion` (the latest completion before that date) when anchored
+ * "after completion" — those stay due every day until done. Frequency rules are
+ * due on any day while `periodCount` (completions earlier in the period) is
+ * below the target, and on days that were `completedOn`.
+ */
+function scheduleOccursOn(rule, dateStr, { createdAt = null, lastCompletion = null, periodCount = 0, completedOn = false } = {}) {
+  const dow = DAY_KEYS[new Date(dateStr).getUTCDay()];
+  switch (rule.kind) {
+    case 'once':
+      return rule.dates.has(dateStr);
+    case 'frequency':
+      if (createdAt && dateStr < createdAt && !completedOn) return false;
+      return completedOn || periodCount < rule.target;
+    case 'monthly': {
+      const [y, mo, d] = dateStr.split('-').map(Number);
+      const daysInMonth = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+      return rule.items.some((it) => {
+        if (it.monthDay) return d === (it.monthDay === -1 ? daysInMonth : Math.min(it.monthDay, daysInMonth));
+        if (it.day !== dow) return false;
+        return it.nth === -1 ? d + 7 > daysInMonth : Math.ceil(d / 7) === it.nth;
+      });
+    }
+    case 'interval': {
+      if (!rule.days.has(dow)) return false;
+      const fromCompletion = rule.anchor === 'completion';
+      const anchor = (fromCompletion && lastCompletion) || createdAt;
+      if (!anchor) return true;
+      if (createdAt && dateStr < createdAt) return false;
+      const diff = rule.unit === 'week'
+        ? daysBetween(weekStart(anchor), weekStart(dateStr)) / 7
+        : daysBetween(anchor, dateStr);
+      if (diff < 0) return false;
+      if (fromCompletion) return lastCompletion ? diff >= rule.every : true;
+      return diff % rule.every === 0;
+    }
+    default:
+      return rule.days.has(dow);
+  }
+}
+
 const parseSelectedDaysFromSchedule = (schedule) => new Set(parseSchedule(schedule).days);
 
-function selectedDaysToSchedule(selectedDays) {
+const REPEAT_MODES = [
+  { key: 'weekly', label: 'Weekly' },
+  { key: 'days', label: 'Every N days' },
+  { key: 'weeks', label: 'Every N weeks' },
+  { key: 'monthly', label: 'Monthly' },
+  { key: 'once', label: 'One-off' },
+  { key: 'frequency', label: 'N times per period' },
+];
+
+/** Editor state (repeat mode, interval, anchor, free-text rule) for a schedule string. */
+function scheduleToDraft(schedule) {
+  const rule = parseSchedule(schedule);
+  const draft = { repeat: 'weekly', every: 2, anchor: 'created', period: 'week', ruleText: '', selectedDays: new Set(rule.days) };
+  if (rule.kind === 'interval') Object.assign(draft, { repeat: rule.unit === 'week' ? 'weeks' : 'days', every: rule.every, anchor: rule.anchor });
+  if (rule.kind === 'monthly') Object.assign(draft, { repeat: 'monthly', ruleText: formatMonthlyItems(rule.items) });
+  if (rule.kind === 'once') Object.assign(draft, { repeat: 'once', ruleText: formatSchedule(rule) });
+  if (rule.kind === 'frequency') Object.assign(draft, { repeat: 'frequency', every: rule.target, period: rule.period });
+  return draft;
+}
+
+/**
+ * Builds a schedule string from the editor state. Returns null when a
+ * monthly/one-off rule text cannot be understood.
+ */
+function selectedDaysToSchedule(selectedDays, { repeat = 'weekly', every = 1, anchor = 'created', period = 'week', ruleText = '' } = {}) {
   const set = new Set(selectedDays || []);
+  const n = Math.max(1, Math.floor(every) || 1);
+  if (repeat === 'frequency') return formatSchedule({ kind: 'frequency', target: n, period });
+  if (repeat === 'days') return formatSchedule({ kind: 'interval', unit: 'day', every: n, anchor, days: new Set(DAY_KEYS) });
+  if (repeat === 'weeks') return formatSchedule({ kind: 'interval', unit: 'week', every: n, anchor, days: set });
+  if (repeat === 'monthly' || repeat === 'once') {
+    const rule = parseSchedule(repeat === 'monthly' ? `${ruleText.trim()} of the month` : ruleText);
+    return rule.kind === repeat ? formatSchedule(rule) : null;
+  }
+
   const isEqual = (a, b) => a.size === b.size && [...a].every((x) => b.has(x));
   if (set.size === 7) return 'daily';
   if (isEqual(set, WEEKDAYS)) return 'weekdays';
-  return [...set].sort((a, b) => MON_FIRST_ORDER.indexOf(a) - MON_FIRST_ORDER.indexOf(b)).join(',');
+  return sortDays(set).join(',');
+}
+
+/*
+ * A quest's `scheduleLog` lists `{ date, schedule, archived }` entries, each in
+ * effect from its date on, so past days are judged by the schedule of the time.
+ */
+
+/** The schedule/archived state that applied to a quest on `dateStr` (null before its first entry). */
+function questStateOn(quest, dateStr) {
+  const log = quest.scheduleLog;
+  if (!Array.isArray(log) || !log.length) return { schedule: quest.schedule, archived: !!quest.archived };
+  let state = null;
+  for (const entry of log) if (entry.date <= dateStr) state = entry;
+  return state;
+}
+
+/** Appends the quest's current schedule/archived state as of `dateStr`; a change on the same day replaces that day's entry. */
+function recordQuestState(quest, dateStr) {
+  const log = (quest.scheduleLog ||= []);
+  const last = log[log.length - 1];
+  if (last && last.schedule === quest.schedule && last.archived === !!quest.archived) return;
+  const entry = { date: dateStr, schedule: quest.schedule, archived: !!quest.archived };
+  if (last && last.date >= dateStr) log[log.length - 1] = { ...entry, date: last.date };
+  else log.push(entry);
+}
+
+/* ========================================================================== */
+/* XP FORMULA                                                                 */
+/* ========================================================================== */
+
+const normDifficulty = (v) => (DIFFICULTY_TIERS.some((t) => t.key === v) ? v : 'normal');
+
+/**
+ * Computes the XP a quest awards. Returns the full breakdown so a completion
+ * can store exactly what was granted (and `uncompleteQuest` can take it back).
+ */
+function computeXP(quest, { trackedMinutes = 0, streak = 0, quantity = null, backdate = 1 } = {}, settings = DEFAULT_SETTINGS) {
+  const estimate = quest.estimateMinutes > 0 ? quest.estimateMinutes : 0;
+  const tracked = clamp(trackedMinutes || 0, 0, settings.xpTrackedMinutesCap);
+
+  const base = settings.xpBase;
+  const effort = estimate * settings.xpPerEstimateMinute + tracked * settings.xpPerTrackedMinute;
+  const difficulty = settings.difficultyMultipliers[normDifficulty(quest.difficulty)] ?? 1;
+
+  let timing = 1;
+  if (estimate && trackedMinutes > 0) {
+    timing = trackedMinutes <= estimate ? 1 + settings.xpOnTimeBonus / 100 : 1 - settings.xpOvertimePenalty / 100;
+  }
+  const streakMult = 1 + Math.min(streak * settings.xpStreakBonusPerDay, settings.xpStreakBonusCap) / 100;
+
+  let quantityMult = 1;
+  if (quest.target > 0 && quantity != null) {
+    quantityMult = settings.quantityXpMode === 'bonus'
+      ? (quantity >= quest.target ? 1 + settings.quantityTargetBonus / 100 : 1)
+      : Math.min(quantity / quest.target, 1);
+  }
+
+  const total = Math.max(0, Math.round((base + effort) * difficulty * timing * streakMult * quantityMult * backdate));
+  return { base, effort: Math.round(effort * 100) / 100, difficulty, timing, streak: streakMult, streakDays: streak, quantity: quantityMult, backdate, total };
+}
+
+const formatXPBreakdown = (b) => {
+  const parts = [`${b.base} base`];
+  if (b.effort) parts.push(`+ ${b.effort} effort`);
+  if (b.difficulty !== 1) parts.push(`× ${b.difficulty} difficulty`);
+  if (b.timing !== 1) parts.push(`× ${Math.round(b.timing * 100) / 100} ${b.timing > 1 ? 'on-time' : 'overtime'}`);
+  if (b.streak !== 1) parts.push(`× ${Math.round(b.streak * 100) / 100} streak (${b.streakDays}d)`);
+  if (b.quantity != null && b.quantity !== 1) parts.push(`× ${Math.round(b.quantity * 100) / 100} quantity`);
+  if (b.backdate != null && b.backdate !== 1) parts.push(`× ${Math.round(b.backdate * 100) / 100} back-dated`);
+  return `${parts.join(' ')} = ${b.total} XP`;
+};
+
+/* ========================================================================== */
+/* DAILY NOTE SYNC                                                            */
+/* ========================================================================== */
+
+// Lines we own carry a hidden Obsidian comment with the quest id
+const NOTE_SYNC_MARKER = /%%quest:([a-z0-9]+)%%/;
+const CHECKLIST_LINE = /^\s*[-*]\s+\[([ xX])\]\s/;
+
+/** `{questId: checked}` for every synced checklist line in a note. */
+function parseChecklist(content) {
+  const state = {};
+  for (const line of String(content || '').split('\n')) {
+    const marker = line.match(NOTE_SYNC_MARKER), box = line.match(CHECKLIST_LINE);
+    if (marker && box) state[marker[1]] = box[1] !== ' ';
+  }
+  return state;
+}
+
+/**
+ * Replaces every synced line in `content` with `lines`, placed directly under
+ * `heading` (appended when missing). Lines without a marker are left alone, so
+ * repeated syncs never duplicate entries.
+ */
+function mergeChecklist(content, heading, lines) {
+  const kept = String(content || '').split('\n').filter((line) => !NOTE_SYNC_MARKER.test(line));
+  let idx = kept.findIndex((line) => line.trim() === heading.trim());
+  if (idx === -1) {
+    while (kept.length && kept[kept.length - 1].trim() === '') kept.pop();
+    if (kept.length) kept.push('');
+    kept.push(heading);
+    idx = kept.length - 1;
+  }
+  kept.splice(idx + 1, 0, ...lines);
+  return kept.join('\n').replace(/\n*$/, '\n');
+}
+
+/* ========================================================================== */
+/* QUEST NOTES                                                                */
+/* ========================================================================== */
+
+/** Quest fields read from, and written to, a quest note's frontmatter (plus `questId`). */
+function questFieldsFromFrontmatter(fm, file) {
+  return {
+    name: String(fm.name || file.basename).trim(),
+    category: String(fm.category || 'uncategorized').trim().toLowerCase(),
+    schedule: String(fm.schedule || 'daily').trim(),
+    estimateMinutes: fm.estimateMinutes > 0 ? Math.floor(fm.estimateMinutes) : null,
+    archived: fm.archived === true,
+    difficulty: normDifficulty(fm.difficulty),
+    target: fm.target > 0 ? Math.floor(fm.target) : null,
+    unit: String(fm.unit || '').trim(),
+    pomodoro: typeof fm.pomodoro === 'boolean' ? fm.pomodoro : null,
+  };
+}
+
+function questToFrontmatter(quest, fm = {}) {
+  fm.questId = quest.id;
+  fm.name = quest.name;
+  fm.category = quest.category;
+  fm.schedule = quest.schedule;
+  if (quest.estimateMinutes) fm.estimateMinutes = quest.estimateMinutes; else delete fm.estimateMinutes;
+  fm.archived = !!quest.archived;
+  if (quest.difficulty && quest.difficulty !== 'normal') fm.difficulty = quest.difficulty; else delete fm.difficulty;
+  if (quest.target) fm.target = quest.target; else delete fm.target;
+  if (quest.unit) fm.unit = quest.unit; else delete fm.unit;
+  if (typeof quest.pomodoro === 'boolean') fm.pomodoro = quest.pomodoro; else delete fm.pomodoro;
+  return fm;
+}
+
+const safeFileName = (name) => String(name).replace(/[\\/:*?"<>|#^[\]]/g, '').trim() || 'Quest';
+
+/* ========================================================================== */
+/* SCHEMA & MIGRATIONS                                                        */
+/* ========================================================================== */
+
+const SCHEMA_VERSION = 7;
+
+// MIGRATIONS[n] upgrades a log from schema n + 1 to n + 2. Logs without a
+// `schemaVersion` are version 1 (written before versioning existed).
+const MIGRATIONS = [
+  // 1 → 2: session log, per-day quantity counters, quest difficulty/target/unit.
+  // Time tracked before the session log is backfilled from each completion's snapshot.
+  (log) => {
+    if (!Array.isArray(log.sessions)) log.sessions = [];
+    const logged = new Set(log.sessions.map((x) => `${x?.questId}|${x?.date}`));
+    for (const c of Array.isArray(log.completions) ? log.completions : []) {
+      if (!c || !(c._snapshotTime > 0) || logged.has(`${c.questId}|${c.date}`)) continue;
+      log.sessions.push({ questId: c.questId, date: c.date, start: null, end: null, minutes: c._snapshotTime, manual: true });
+      logged.add(`${c.questId}|${c.date}`);
+    }
+    if (log.timerState && typeof log.timerState === 'object') log.timerState.counts ||= {};
+    for (const q of Array.isArray(log.quests) ? log.quests : []) {
+      if (!q || typeof q !== 'object') continue;
+      q.difficulty ??= 'normal';
+      q.target ??= null;
+      q.unit ??= '';
+    }
+  },
+  // 2 → 3: pomodoro log and per-quest pomodoro override
+  (log) => {
+    if (!Array.isArray(log.pomodoros)) log.pomodoros = [];
+    if (log.timerState && typeof log.timerState === 'object') log.timerState.pomodoro ??= null;
+    for (const q of Array.isArray(log.quests) ? log.quests : []) {
+      if (q && typeof q === 'object') q.pomodoro ??= null;
+    }
+  },
+  // 3 → 4: schedule/archive history. Archived quests are taken to have been
+  // archived the day after their last completion or session.
+  (log) => {
+    const lastActivity = {};
+    for (const x of [...(Array.isArray(log.completions) ? log.completions : []), ...(Array.isArray(log.sessions) ? log.sessions : [])]) {
+      if (x && typeof x.date === 'string' && !(lastActivity[x.questId] >= x.date)) lastActivity[x.questId] = x.date;
+    }
+    for (const q of Array.isArray(log.quests) ? log.quests : []) {
+      if (!q || typeof q !== 'object' || Array.isArray(q.scheduleLog)) continue;
+      const since = q.createdAt || log.day;
+      q.scheduleLog = [{ date: since, schedule: q.schedule, archived: false }];
+      const last = lastActivity[q.id];
+      if (q.archived && last && last >= since) q.scheduleLog.push({ date: shiftDate(last, 1), schedule: q.schedule, archived: true });
+      else if (q.archived) q.scheduleLog[0].archived = true;
+    }
+  },
+  // 4 → 5: achievements, rebuilt from history on the next check
+  (log) => {
+    if (!isPlainObject(log.achievements)) log.achievements = null;
+  },
+  // 5 → 6: reward shop and its redemption ledger (earlier completions earned no gold)
+  (log) => {
+    if (!Array.isArray(log.rewards)) log.rewards = [];
+    if (!Array.isArray(log.redemptions)) log.redemptions = [];
+  },
+  // 6 → 7: rest days and the penalty ledger (a missing `player.hp` means full health)
+  (log) => {
+    if (!Array.isArray(log.restDays)) log.restDays = [];
+    if (!Array.isArray(log.penalties)) log.penalties = [];
+  },
+];
+
+/** Runs every pending migration in order. Returns the version the log started at. */
+function migrateQuestLog(log) {
+  const from = Number.isInteger(log.schemaVersion) ? log.schemaVersion : 1;
+  if (from > SCHEMA_VERSION) throw new Error(`Quest log was written by a newer version of the plugin (schema v${from})`);
+  for (let v = from; v < SCHEMA_VERSION; v++) MIGRATIONS[v - 1](log);
+  log.schemaVersion = SCHEMA_VERSION;
+  return from;
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isDateStr = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v));
+const isNonNegative = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+/**
+ * Checks a (migrated) quest log in place and repairs what it can: wrong types,
+ * completions/sessions pointing at unknown quests, duplicate completions,
+ * negative XP and a timer left on a missing quest. Returns one line per repair.
+ */
+function validateQuestLog(log, today) {
+  const repairs = [];
+  const count = (n, msg) => { if (n) repairs.push(`${msg} (${n})`); };
+
+  for (const key of ['quests', 'completions', 'sessions', 'pomodoros', 'rewards', 'redemptions', 'restDays', 'penalties']) {
+    if (!Array.isArray(log[key])) { log[key] = []; repairs.push(`Recreated missing "${key}" list`); }
+  }
+
+  const ids = new Set();
+  log.quests = log.quests.filter((q, i) => {
+    if (!isPlainObject(q) || typeof q.id !== 'string' || !q.id) { repairs.push(`Dropped quest #${i + 1} without an id`); return false; }
+    if (ids.has(q.id)) { repairs.push(`Dropped duplicate quest "${q.name}" (${q.id})`); return false; }
+    ids.add(q.id);
+    const label = `Quest "${q.name || q.id}"`;
+    if (typeof q.name !== 'string' || !q.name.trim()) { q.name = 'Untitled quest'; repairs.push(`${label}: missing name`); }
+    if (typeof q.category !== 'string') { q.category = 'uncategorized'; repairs.push(`${label}: invalid category`); }
+    if (typeof q.schedule !== 'string') { q.schedule = 'daily'; repairs.push(`${label}: invalid schedule`); }
+    if (q.estimateMinutes != null && !(isNonNegative(q.estimateMinutes) && q.estimateMinutes > 0)) { q.estimateMinutes = null; repairs.push(`${label}: invalid estimate`); }
+    if (q.target != null && !(isNonNegative(q.target) && q.target > 0)) { q.target = null; repairs.push(`${label}: invalid target`); }
+    if (typeof q.archived !== 'boolean') { q.archived = !!q.archived; repairs.push(`${label}: invalid archived flag`); }
+    if (typeof q.order !== 'number') { q.order = i; repairs.push(`${label}: missing order`); }
+    if (q.createdAt != null && !isDateStr(q.createdAt)) { delete q.createdAt; repairs.push(`${label}: invalid creation date`); }
+    if (typeof q.pomodoro !== 'boolean') q.pomodoro = null;
+    if (!Array.isArray(q.scheduleLog) || !q.scheduleLog.every((e) => isPlainObject(e) && isDateStr(e.date) && typeof e.schedule === 'string')) {
+      if (q.scheduleLog != null) repairs.push(`${label}: invalid schedule history`);
+      q.scheduleLog = [];
+    }
+    recordQuestState(q, q.scheduleLog.length ? today : q.createdAt || today);
+    return true;
+  });
+
+  // Frequency quests may legitimately be completed more than once a day
+  const multi = new Set(log.quests.filter((q) => parseSchedule(q.schedule).kind === 'frequency').map((q) => q.id));
+  const seen = new Set();
+  let dangling = 0, badDate = 0, duplicate = 0, badXp = 0;
+  log.completions = log.completions.filter((c) => {
+    if (!isPlainObject(c) || !ids.has(c.questId)) { dangling++; return false; }
+    if (!isDateStr(c.date)) { badDate++; return false; }
+    const key = `${c.questId}|${c.date}`;
+    if (seen.has(key) && !multi.has(c.questId)) { duplicate++; return false; }
+    seen.add(key);
+    if (!isNonNegative(c.xpEarned)) { c.xpEarned = Math.max(0, Math.round(Number(c.xpEarned)) || 0); badXp++; }
+    return true;
+  });
+  count(dangling, 'Removed completions of unknown quests');
+  count(badDate, 'Removed completions with an invalid date');
+  count(duplicate, 'Removed duplicate completions');
+  count(badXp, 'Reset negative or invalid completion XP');
+
+  let badSessions = 0;
+  log.sessions = log.sessions.filter((x) => {
+    const ok = isPlainObject(x) && ids.has(x.questId) && isNonNegative(x.minutes) && isDateStr(x.date);
+    if (!ok) badSessions++;
+    return ok;
+  });
+  count(badSessions, 'Removed invalid or orphaned time sessions');
+
+  const pomodoroCount = log.pomodoros.length;
+  log.pomodoros = log.pomodoros.filter((x) => isPlainObject(x) && ids.has(x.questId) && isDateStr(x.date));
+  count(pomodoroCount - log.pomodoros.length, 'Removed invalid or orphaned pomodoros');
+
+  const rewardCount = log.rewards.length;
+  log.rewards = log.rewards.filter((r) => isPlainObject(r) && typeof r.id === 'string' && typeof r.name === 'string' && isNonNegative(r.cost));
+  count(rewardCount - log.rewards.length, 'Removed invalid rewards');
+  const redemptionCount = log.redemptions.length;
+  log.redemptions = log.redemptions.filter((r) => isPlainObject(r) && typeof r.id === 'string' && isNonNegative(r.cost) && isDateStr(r.date));
+  count(redemptionCount - log.redemptions.length, 'Removed invalid redemptions');
+  const restCount = log.restDays.length;
+  log.restDays = [...new Set(log.restDays.filter(isDateStr))].sort();
+  count(restCount - log.restDays.length, 'Removed invalid or duplicate rest days');
+  const penaltyCount = log.penalties.length;
+  log.penalties = log.penalties.filter((x) => isPlainObject(x) && isDateStr(x.date) && (x.knockout || ids.has(x.questId)));
+  count(penaltyCount - log.penalties.length, 'Removed invalid or orphaned penalties');
+  for (const c of log.completions) if (c.goldEarned != null && !isNonNegative(c.goldEarned)) { delete c.goldEarned; repairs.push('Removed invalid gold from a completion'); }
+
+  if (!isPlainObject(log.player)) { log.player = { level: 1, xp: 0 }; repairs.push('Recreated missing player'); }
+  if (!Number.isInteger(log.player.level) || log.player.level < 1) { log.player.level = 1; repairs.push('Reset invalid player level'); }
+  if (!isNonNegative(log.player.xp)) { log.player.xp = Math.max(0, Number(log.player.xp) || 0); repairs.push('Reset negative or invalid player XP'); }
+  if (log.player.hp != null && !isNonNegative(log.player.hp)) { delete log.player.hp; repairs.push('Reset invalid player HP'); }
+
+  if (!isPlainObject(log.timerState)) { log.timerState = {}; repairs.push('Recreated missing timer state'); }
+  const ts = log.timerState;
+  if (ts.activeQuestId != null && !(ids.has(ts.activeQuestId) && isNonNegative(ts.startTime))) {
+    repairs.push('Stopped a timer running on an unknown quest');
+    ts.activeQuestId = null;
+  }
+  if (ts.activeQuestId == null) { ts.activeQuestId = null; ts.startTime = null; }
+  if (ts.pomodoro != null && !(isPlainObject(ts.pomodoro) && ids.has(ts.pomodoro.questId))) ts.pomodoro = null;
+  for (const key of ['pausedSessions', 'counts']) {
+    if (!isPlainObject(ts[key])) { ts[key] = {}; continue; }
+    for (const [id, v] of Object.entries(ts[key])) {
+      if (!ids.has(id) || !isNonNegative(v)) { delete ts[key][id]; repairs.push(`Removed invalid ${key} entry for ${id}`); }
+    }
+  }
+
+  if (log.achievements != null && !(isPlainObject(log.achievements) && Object.values(log.achievements).every(isDateStr))) {
+    log.achievements = null;
+    repairs.push('Cleared invalid achievements (they are rebuilt from history)');
+  }
+
+  if (!isDateStr(log.day)) { log.day = today; repairs.push('Reset invalid current day'); }
+  return repairs;
+}
+
+/* ========================================================================== */
+/* BACKUPS                                                                    */
+/* ========================================================================== */
+
+const BACKUP_FILE = /^questlog_(\d{4}-\d{2}-\d{2})(.*)\.json$/;
+
+function summarizeQuestLog(log) {
+  const quests = Array.isArray(log?.quests) ? log.quests : [];
+  const completions = Array.isArray(log?.completions) ? log.completions : [];
+  return {
+    day: log?.day || null,
+    level: log?.player?.level ?? 1,
+    xp: log?.player?.xp ?? 0,
+    quests: quests.filter((q) => !q?.archived).length,
+    archived: quests.filter((q) => q?.archived).length,
+    completions: completions.length,
+    lastCompletion: completions.reduce((max, c) => (c?.date > max ? c.date : max), null),
+  };
+}
+
+/** What restoring `backup` would change compared to `current`. */
+function diffQuestLogs(current, backup) {
+  const questMap = (log) => new Map((log?.quests || []).map((q) => [q.id, q]));
+  const doneKeys = (log) => new Set((log?.completions || []).map((c) => `${c.questId}|${c.date}`));
+  const cur = questMap(current), old = questMap(backup);
+  const curDone = doneKeys(current), oldDone = doneKeys(backup);
+  const changed = [];
+  for (const [id, q] of old) {
+    const now = cur.get(id);
+    if (!now) continue;
+    const fields = ['name', 'category', 'schedule', 'estimateMinutes', 'archived', 'difficulty', 'target', 'unit']
+      .filter((k) => (q[k] ?? null) !== (now[k] ?? null));
+    if (fields.length) changed.push({ name: now.name, fields });
+  }
+  return {
+    questsRestored: [...old.values()].filter((q) => !cur.has(q.id)).map((q) => q.name),
+    questsLost: [...cur.values()].filter((q) => !old.has(q.id)).map((q) => q.name),
+    questsChanged: changed,
+    completionsRestored: [...oldDone].filter((k) => !curDone.has(k)).length,
+    completionsLost: [...curDone].filter((k) => !oldDone.has(k)).length,
+    levelDelta: (backup?.player?.level ?? 1) - (current?.player?.level ?? 1),
+    xpDelta: (backup?.player?.xp ?? 0) - (current?.player?.xp ?? 0),
+  };
+}
+
+/**
+ * Grandfather-father-son retention. `backups` are `{ path, date }`; returns the
+ * paths to keep: every backup from the newest `daily` days, plus the newest
+ * backup of each of the last `weekly` weeks and `monthly` months.
+ */
+function selectBackupsToKeep(backups, { daily = 0, weekly = 0, monthly = 0 } = {}) {
+  const sorted = [...backups].sort((a, b) => b.date.localeCompare(a.date) || b.path.localeCompare(a.path));
+  const keep = new Set();
+  const days = [...new Set(sorted.map((b) => b.date))].slice(0, daily);
+  for (const b of sorted) if (days.includes(b.date)) keep.add(b.path);
+  const newestPer = (keyOf, limit) => {
+    const seen = new Set();
+    for (const b of sorted) {
+      const key = keyOf(b.date);
+      if (seen.has(key)) continue;
+      if (seen.size >= limit) break;
+      seen.add(key);
+      keep.add(b.path);
+    }
+  };
+  newestPer(weekStart, weekly);
+  newestPer((d) => d.slice(0, 7), monthly);
+  return keep;
+}
+
+/* ========================================================================== */
+/* ACHIEVEMENTS                                                               */
+/* ========================================================================== */
+
+// Rules are data: `metric` names an entry of ACHIEVEMENT_METRICS, which is
+// given the rule's `threshold`. Rules marked `onRollover` only change when a
+// day closes, so they are not re-checked after every completion.
+const ACHIEVEMENTS = [
+  { id: 'first-completion', icon: '🌟', name: 'First Steps', description: 'Complete your first quest', metric: 'completions', threshold: 1 },
+  { id: 'completions-100', icon: '💯', name: 'Centurion', description: 'Complete 100 quests', metric: 'completions', threshold: 100 },
+  { id: 'completions-1000', icon: '🏰', name: 'Legend', description: 'Complete 1,000 quests', metric: 'completions', threshold: 1000 },
+  { id: 'streak-7', icon: '🔥', name: 'On Fire', description: 'Complete a quest 7 days in a row', metric: 'dayStreak', threshold: 7 },
+  { id: 'streak-30', icon: '☄️', name: 'Unstoppable', description: 'Complete a quest 30 days in a row', metric: 'dayStreak', threshold: 30 },
+  { id: 'streak-100', icon: '🌋', name: 'Eternal Flame', description: 'Complete a quest 100 days in a row', metric: 'dayStreak', threshold: 100 },
+  { id: 'category-100', icon: '🏛️', name: 'Specialist', description: 'Complete 100 quests in one category', metric: 'categoryCompletions', threshold: 100 },
+  { id: 'quest-hours-10', icon: '⏳', name: 'Dedicated', description: 'Track 10 hours on one quest', metric: 'questMinutes', threshold: 600 },
+  { id: 'perfect-week', icon: '🗓️', name: 'Perfect Week', description: 'Finish every scheduled quest for a week (Mon–Sun)', metric: 'perfectWeeks', threshold: 1, onRollover: true },
+  { id: 'perfect-weeks-4', icon: '👑', name: 'Flawless Month', description: 'Have 4 perfect weeks', metric: 'perfectWeeks', threshold: 4, onRollover: true },
+];
+
+const compareByDate = (a, b) => a.date.localeCompare(b.date);
+
+/** Each metric returns the date its `threshold` was first reached, or null — so unlocks can be rebuilt from history. */
+const ACHIEVEMENT_METRICS = {
+  completions: (plugin, n) => plugin.questLog.completions.map((c) => c.date).sort()[n - 1] || null,
+
+  dayStreak: (plugin, n) => {
+    let run = 0, prev = null;
+    for (const d of [...new Set(plugin.questLog.completions.map((c) => c.date))].sort()) {
+      run = prev && shiftDate(prev, 1) === d ? run + 1 : 1;
+      prev = d;
+      if (run >= n) return d;
+    }
+    return null;
+  },
+
+  categoryCompletions: (plugin, n) => {
+    const categories = new Map(plugin.questLog.quests.map((q) => [q.id, q.category || 'uncategorized']));
+    const counts = {};
+    for (const c of [...plugin.questLog.completions].sort(compareByDate)) {
+      const cat = categories.get(c.questId) || 'uncategorized';
+      if ((counts[cat] = (counts[cat] || 0) + 1) >= n) return c.date;
+    }
+    return null;
+  },
+
+  questMinutes: (plugin, n) => {
+    const totals = {};
+    for (const s of [...plugin.questLog.sessions].sort(compareByDate)) {
+      if ((totals[s.questId] = (totals[s.questId] || 0) + (s.minutes || 0)) >= n) return s.date;
+    }
+    return null;
+  },
+
+  // A week counts once it is over, when something was scheduled and all of it was done
+  perfectWeeks: (plugin, n) => {
+    const dates = plugin.questLog.quests.map((q) => q.createdAt).concat(plugin.questLog.completions.map((c) => c.date)).filter(Boolean).sort();
+    if (!dates.length) return null;
+    let found = 0;
+    const lastWeek = shiftDate(weekStart(plugin.getTodayDateStr()), -7);
+    for (let week = weekStart(dates[0]); week <= lastWeek; week = shiftDate(week, 7)) {
+      const { scheduled, done } = plugin.calculateAdherence({ start: week, end: shiftDate(week, 6) });
+      if (scheduled > 0 && done === scheduled && ++found >= n) return shiftDate(week, 6);
+    }
+    return null;
+  },
+};
+
+/* ========================================================================== */
+/* REPORTS                                                                    */
+/* ========================================================================== */
+
+const REPORT_PERIODS = { week: 'Week', month: 'Month', year: 'Year', custom: 'Custom range' };
+
+// Section placeholders ({{profile}}, {{topQuests}}, …) expand to a whole block with its
+// own heading, so deleting one from a template drops that section from the report.
+const DEFAULT_REPORT_TEMPLATE = `# 📊 Quest Analytics Report — {{periodLabel}}
+*{{start}} to {{end}} · {{filter}} · Generated: {{generated}}*
+
+---
+
+{{profile}}
+
+---
+
+## 🎯 Quest Performance
+
+{{topQuests}}
+
+{{timeByQuest}}
+
+{{quantity}}
+
+{{streaks}}
+
+---
+
+## 📊 Category Analysis
+
+{{categoryChart}}
+
+{{categoryTable}}
+
+---
+
+{{summary}}
+
+---
+
+{{adherence}}
+
+---
+
+{{estimates}}
+
+---
+
+{{achievements}}
+
+---
+
+{{rewards}}
+
+---
+
+{{penalties}}
+
+---
+
+{{xpChart}}
+
+---
+
+{{activity}}
+`;
+
+/** ISO 8601 week label (`2026-W07`) of the week containing `dateStr`. */
+function isoWeek(dateStr) {
+  const thursday = shiftDate(weekStart(dateStr), 3);
+  const year = thursday.slice(0, 4);
+  return `${year}-W${String(Math.floor(daysBetween(`${year}-01-01`, thursday) / 7) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Date range a report covers: the week, month or year containing `from`, or
+ * `from`–`to` for a custom range. `key` names the period in output paths.
+ */
+function reportRange(period, from, to = from) {
+  if (period === 'custom') {
+    const [start, end] = from <= to ? [from, to] : [to, from];
+    return { period, start, end, key: `${start}_${end}`, label: `${start} – ${end}` };
+  }
+  const { start, end } = periodRange(period, from);
+  if (period === 'week') return { period, start, end, key: isoWeek(start), label: `Week of ${start}` };
+  if (period === 'year') return { period, start, end, key: start.slice(0, 4), label: start.slice(0, 4) };
+  const label = new Date(`${start}T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  return { period, start, end, key: start.slice(0, 7), label };
+}
+
+/** Replaces `{{name}}` placeholders; unknown names are left as they are. */
+const renderTemplate = (template, values) =>
+  String(template).replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+
+/**
+ * Predicate over quest ids for a filter shared by the heatmap and reports:
+ * '' (all quests), 'quest:<id>' or 'category:<name>'.
+ */
+function questFilter(filter, quests) {
+  if (!filter) return () => true;
+  const sep = filter.indexOf(':');
+  const kind = filter.slice(0, sep), value = filter.slice(sep + 1);
+  if (kind === 'quest') return (questId) => questId === value;
+  const categories = new Map(quests.map((q) => [q.id, q.category || 'uncategorized']));
+  return (questId) => (categories.get(questId) || 'uncategorized') === value;
+}
+
+function describeQuestFilter(filter, quests) {
+  if (filter.startsWith('quest:')) return `Quest: ${quests.find((q) => q.id === filter.slice(6))?.name || 'deleted quest'}`;
+  if (filter.startsWith('category:')) return `Category: ${filter.slice(9)}`;
+  return 'All quests';
+}
+
+/** Fills a `<select>` with the filter options (all, each category, each quest). */
+function fillQuestFilterSelect(select, plugin, value = '') {
+  select.createEl('option', { value: '', text: 'All quests' });
+  const catGroup = select.createEl('optgroup', { attr: { label: 'Category' } });
+  plugin.getCategoryList().forEach((c) => catGroup.createEl('option', { value: `category:${c}`, text: c }));
+  const questGroup = select.createEl('optgroup', { attr: { label: 'Quest' } });
+  [...plugin.questLog.quests].sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((q) => questGroup.createEl('option', { value: `quest:${q.id}`, text: q.archived ? `${q.name} (archived)` : q.name }));
+  select.value = value;
 }
 
 /* ========================================================================== */
@@ -135,23 +1103,51 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
   async onload() {
     await this.loadSettings();
     this._categoryCache = null;
+    this._streakCache = null;
     this.saveTimer = null;
     this.lastSavedData = '';
+    this.history = { undo: [], redo: [] };
+    // Per vault, so two vaults running the plugin don't share one heartbeat
+    this.heartbeatKey = `${HEARTBEAT_KEY}:${this.app.vault.getName()}`;
+    this.lastHeartbeat = Number(window.localStorage.getItem(this.heartbeatKey)) || null;
+    this.sessionReview = null;
 
     await this.loadQuestLog();
 
     this.registerView(VIEW_TYPE_QUESTS, (leaf) => new QuestView(leaf, this));
+    this.registerView(VIEW_TYPE_HEATMAP, (leaf) => new HeatmapView(leaf, this));
     this.ribbonEl = this.addRibbonIcon('target', 'Quest Log', () => this.activateView());
     this.updateRibbonLabel();
     this.addCommand({ id: 'open-quest-log', name: 'Open Quest Log', callback: () => this.activateView() });
+    this.addCommand({ id: 'generate-report', name: 'Generate report…', callback: () => new ReportBuilderModal(this.app, this).open() });
+    this.addCommand({ id: 'open-heatmap', name: 'Open completion heatmap', callback: () => this.activateHeatmap() });
+    this.addCommand({ id: 'toggle-current-quest', name: 'Start/pause current quest', callback: () => this.toggleCurrentQuest() });
+    this.addCommand({ id: 'switch-quest', name: 'Switch quest…', callback: () => new QuestSuggestModal(this.app, this).open() });
+    this.addCommand({ id: 'complete-active-quest', name: 'Complete active quest', callback: () => this.completeActiveQuest() });
+    this.addCommand({ id: 'log-time', name: 'Log time or back-date a completion…', callback: () => new TimeEntryModal(this.app, this, this.getCurrentQuest()?.id).open() });
+    this.addCommand({ id: 'stop-all-timers', name: 'Stop all timers', callback: () => this.stopAllTimers() });
+    this.addCommand({ id: 'undo', name: 'Undo last change', hotkeys: [{ modifiers: ['Mod', 'Alt'], key: 'z' }], callback: () => this.undo() });
+    this.addCommand({ id: 'redo', name: 'Redo last change', hotkeys: [{ modifiers: ['Mod', 'Alt', 'Shift'], key: 'z' }], callback: () => this.redo() });
+    this.addCommand({ id: 'rest-days', name: 'Rest days & vacation…', callback: () => new RestDaysModal(this.app, this).open() });
+    this.addCommand({ id: 'rebuild-achievements', name: 'Rebuild achievements from history', callback: () => this.rebuildAchievements() });
+    this.addCommand({ id: 'restore-from-backup', name: 'Restore from backup', callback: () => new BackupBrowserModal(this.app, this).open() });
     this.addSettingTab(new QuestLogSettingTab(this.app, this));
 
-    this.registerInterval(window.setInterval(() => {
-      this.ensureDailyRollover();
+    this.registerInterval(window.setInterval(async () => {
+      await this.ensureDailyRollover();
+      this.beat();
     }, 60_000));
+    this.statusBarEl = this.addStatusBarItem();
+    this.statusBarEl.addClass('quest-status-bar');
+    this.registerDomEvent(this.statusBarEl, 'click', () => this.toggleCurrentQuest());
+    this.registerInterval(window.setInterval(() => { this.tickPomodoro(); this.updateStatusBar(); }, 1000));
 
     this.app.workspace.onLayoutReady(async () => {
+      await this.indexQuestNotes();
       await this.ensureDailyRollover();
+      await this.checkAchievements();
+      this.beat();
+      this.queueNoteSync();
       this.updateRibbonLabel();
       this.refreshView();
     });
@@ -163,7 +1159,47 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
             await this.loadQuestLog();
             this.refreshView();
           }
+        } else if (this.settings.noteSyncEnabled && file.path === this.getSyncNotePath()) {
+          await this.applyNoteChecklist(file);
+        }
+      })
+    );
+    this.registerEvent(
+      this.app.vault.on('rename', (file, oldPath) => {
+        const sync = this.questLog.noteSync;
+        if (sync && sync.path === oldPath) {
+          sync.path = file.path;
+          this.saveQuestLog();
+        }
+        const quest = this.questLog.quests.find((q) => q.notePath === oldPath);
+        if (quest) {
+          if (this.isQuestNote(file)) quest.notePath = file.path;
+          else delete quest.notePath;
+          this.saveQuestLog();
+        }
+      })
+    );
+    this.registerEvent(
+      this.app.metadataCache.on('changed', async (file) => {
+        if (this.isQuestNote(file) && (await this.indexQuestNote(file))) await this.commit();
+      })
+    );
+    this.registerEvent(
+      this.app.vault.on('delete', async (file) => {
+        const quest = this.questLog.quests.find((q) => q.notePath === file.path);
+        if (!quest) return;
+        // Keep the history: a quest whose note is gone is archived rather than deleted
+        delete quest.notePath;
+        if (!quest.archived) {
+          if (this.questLog.timerState.activeQuestId === quest.id) {
+            await this.checkActiveSession();
+            this.closeActiveSession();
+          }
+          quest.archived = true;
+          this._categoryCache = null;
+          new Notice(`📦 Note removed, quest archived: ${quest.name}`);
         }
+        await this.commit();
       })
     );
   }
@@ -173,21 +1209,74 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
       clearTimeout(this.saveTimer);
       this.saveTimer = null;
     }
+    if (this.noteSyncTimer) {
+      clearTimeout(this.noteSyncTimer);
+      this.noteSyncTimer = null;
+    }
     if (this.questLog) await this.forceSave();
   }
 
   async loadSettings() {
     const loaded = await this.loadData();
     this.settings = { ...DEFAULT_SETTINGS, ...(loaded || {}) };
+    this.settings.difficultyMultipliers = { ...DEFAULT_SETTINGS.difficultyMultipliers, ...(loaded?.difficultyMultipliers || {}) };
+    if (loaded && 'rolloverOffset' in loaded && !('timeZone' in loaded)) {
+      // The old whole-hour offset from UTC becomes the matching fixed zone, so
+      // existing days stay put until a local zone is chosen in settings
+      const offset = Math.round(Number(loaded.rolloverOffset) || 0);
+      this.settings.timeZone = offset ? `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}` : 'UTC';
+      delete this.settings.rolloverOffset;
+      await this.saveSettings();
+    }
   }
   async saveSettings() { await this.saveData(this.settings); }
 
-  getTodayDateStr() {
-    const now = new Date();
-    const offset = this.settings.rolloverOffset || 0;
-    const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-    const serverTime = new Date(utc + (3600000 * offset));
-    return serverTime.toISOString().split('T')[0];
+  getClock({ timeZone, dayStartTime } = this.settings) {
+    return { timeZone: timeZone && isTimeZone(timeZone) ? timeZone : '', dayStart: parseClockTime(dayStartTime) ?? 0 };
+  }
+
+  getTodayDateStr() { return dayOf(Date.now(), this.getClock()); }
+
+  /** Epoch ms at which `dateStr` begins, the inverse of getTodayDateStr. */
+  getDayStart(dateStr) { return dayStartMs(dateStr, this.getClock()); }
+
+  /**
+   * Switches to another time zone and/or day start. Everything with a
+   * timestamp is re-dated to the day it falls on under the new clock (see
+   * redateQuestLog), after a `_pre-day-change` backup. Undo history is
+   * cleared, as it holds dates from the old clock.
+   */
+  async changeDayClock(changes) {
+    const next = { timeZone: this.settings.timeZone, dayStartTime: this.settings.dayStartTime, ...changes };
+    if (next.timeZone && !isTimeZone(next.timeZone)) return void new Notice(`❌ Unknown time zone: ${next.timeZone}`);
+    if (parseClockTime(next.dayStartTime) == null) return void new Notice('❌ The day start must be a time like 04:00.');
+    const before = this.getClock(), after = this.getClock(next);
+    const same = before.timeZone === after.timeZone && before.dayStart === after.dayStart;
+    // Days the old clock has already ended are closed under it first
+    if (!same) await this.ensureDailyRollover();
+    Object.assign(this.settings, next);
+    await this.saveSettings();
+    if (same) return;
+
+    // Book the running timer up to now so its time is re-dated too
+    await this.checkActiveSession();
+    const s = this.questLog.timerState;
+    const running = s.activeQuestId;
+    if (running) this.closeActiveSession();
+    const time = new Date().toISOString().slice(11, 19).replace(/:/g, '');
+    await this.performBackup(`_pre-day-change-${time}`);
+
+    const moved = redateQuestLog(this.questLog, after);
+    const today = this.getTodayDateStr();
+    // A day the old clock had already closed can be open again; penalizeDay never charges it twice
+    if (today < this.questLog.day) this.questLog.day = today;
+    // Today's timer totals follow the sessions that are still on today
+    this.rebuildPausedSessions();
+    if (running) Object.assign(s, { activeQuestId: running, startTime: Date.now() });
+    this.clearHistory();
+    await this.commit();
+    await this.ensureDailyRollover();
+    new Notice(`🕛 Days now start at ${next.dayStartTime} ${next.timeZone || 'local time'}. ${moved ? `${moved} entr${moved === 1 ? 'y' : 'ies'} moved to another day` : 'No entries changed day'}; the old data is in a backup.`, 10000);
   }
 
   initializeQuestLog() {
@@ -195,11 +1284,37 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
       quests: [],
       completions: [],
       player: { level: 1, xp: 0 },
-      timerState: { activeQuestId: null, startTime: null, pausedSessions: {} },
+      timerState: { activeQuestId: null, startTime: null, pausedSessions: {}, counts: {}, pomodoro: null },
+      sessions: [],
+      pomodoros: [],
+      achievements: {},
+      rewards: [],
+      redemptions: [],
+      restDays: [],
+      penalties: [],
       day: this.getTodayDateStr(),
+      schemaVersion: SCHEMA_VERSION,
     };
   }
 
+  /**
+   * Migrates a parsed quest log to the current schema and validates it in place.
+   * Unless `quiet`, repairs are summarised in a Notice.
+   * Returns the repairs and whether anything changed.
+   */
+  upgradeQuestLog(log, source, { quiet = false } = {}) {
+    const from = migrateQuestLog(log);
+    const repairs = validateQuestLog(log, this.getTodayDateStr());
+    if (!quiet) this.notifyRepairs(repairs, source);
+    return { repairs, changed: from < SCHEMA_VERSION || repairs.length > 0 };
+  }
+
+  notifyRepairs(repairs, source) {
+    if (!repairs.length) return;
+    const more = repairs.length > 5 ? `\n…and ${repairs.length - 5} more` : '';
+    new Notice(`🛠️ Repaired ${repairs.length} issue${repairs.length === 1 ? '' : 's'} in ${source}:\n${repairs.slice(0, 5).join('\n')}${more}`, 10000);
+  }
+
   async loadQuestLog() {
     const file = this.app.vault.getAbstractFileByPath(QUEST_LOG_FILE);
     if (file instanceof TFile) {
@@ -207,15 +1322,22 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
         const fileContent = await this.app.vault.read(file);
         const parsed = JSON.parse(fileContent); 
 
-        // Minimal schema check
+        // Must at least look like a quest log before we migrate and repair it
         if (parsed && Array.isArray(parsed.quests) && Array.isArray(parsed.completions)) {
+          const { changed } = this.upgradeQuestLog(parsed, QUEST_LOG_FILE);
           this.questLog = parsed;
+          this.clearHistory();
+          if (changed) {
+            // Keep the file as it was before we rewrite it
+            await this.performBackup('_pre-upgrade', fileContent);
+            await this.forceSave();
+          }
         } else {
           throw new Error('Invalid Schema');
         }
       } catch (e) {
         console.error('QuestLog: Read Error', e);
-        new Notice("⚠️ Quest Log file is corrupt! Aborting load to protect data.");
+        new Notice(`⚠️ Quest Log file could not be loaded: ${e.message}. Aborting load to protect data.`);
         if (!this.questLog) this.initializeQuestLog();
       }
     } else {
@@ -225,9 +1347,9 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
 
   /**
    * Creates a backup of the current questLog state.
-   * Used on startup and before daily resets.
+   * Used on startup, before daily resets and (with the raw file `content`) before a schema upgrade.
    */
-  async performBackup(suffix = '') {
+  async performBackup(suffix = '', content = null) {
     try {
       // Backup name based on the stored day (history)
       const dateStr = this.questLog.day || this.getTodayDateStr();
@@ -243,16 +1365,104 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
 
       const existingBackup = this.app.vault.getAbstractFileByPath(backupPath);
       if (!existingBackup) {
-        const content = JSON.stringify(this.questLog, null, 2);
-        await this.app.vault.create(backupPath, content);
+        await this.app.vault.create(backupPath, content ?? JSON.stringify(this.questLog, null, 2));
         console.log(`QuestLog: Backup created: ${backupFileName}`);
+        await this.pruneBackups();
       }
+      return backupPath;
+    } catch (err) {
+      console.error("QuestLog: Backup failed", err);
+      return null;
+    }
+  }
+
+  /** Backup files, newest first. */
+  listBackups() {
+    const folder = this.app.vault.getAbstractFileByPath(BACKUP_FOLDER_NAME);
+    if (!(folder instanceof TFolder)) return [];
+    return folder.children
+      .filter((f) => f instanceof TFile && BACKUP_FILE.test(f.name))
+      .map((file) => {
+        const [, date, suffix] = file.name.match(BACKUP_FILE);
+        return { file, path: file.path, date, label: suffix.replace(/^_/, '').replace(/-/g, ' ') };
+      })
+      .sort((a, b) => b.date.localeCompare(a.date) || b.path.localeCompare(a.path));
+  }
+
+  async pruneBackups() {
+    const s = this.settings;
+    const limits = {
+      daily: Math.floor(s.backupKeepDaily),
+      weekly: Math.floor(s.backupKeepWeekly),
+      monthly: Math.floor(s.backupKeepMonthly),
+    };
+    // All zero means "keep everything"
+    if (!limits.daily && !limits.weekly && !limits.monthly) return 0;
+    const backups = this.listBackups();
+    const keep = selectBackupsToKeep(backups, limits);
+    let removed = 0;
+    for (const b of backups) {
+      if (keep.has(b.path)) continue;
+      try { await this.app.vault.delete(b.file); removed++; }
+      catch (err) { console.error(`QuestLog: Failed to prune ${b.path}`, err); }
+    }
+    return removed;
+  }
+
+  async readBackup(file) {
+    const data = JSON.parse(await this.app.vault.read(file));
+    if (!isPlainObject(data) || !Array.isArray(data.quests) || !Array.isArray(data.completions)) throw new Error('Not a quest log backup');
+    return data;
+  }
+
+  /**
+   * Moves a log from a backup or import to today without closing the days in
+   * between: the live log has already closed them, so penalties, reports and
+   * note syncs never run for them again. Its timers start out stopped.
+   */
+  adoptCurrentDay(log) {
+    const ts = log.timerState;
+    Object.assign(ts, { activeQuestId: null, startTime: null, reviewedStart: null, pomodoro: null });
+    const today = this.getTodayDateStr();
+    if (log.day !== today) {
+      log.day = today;
+      ts.counts = {};
+      delete log.noteSync;
+    }
+    this.rebuildPausedSessions(log);
+  }
+
+  /** Replaces the current data with a backup, after saving a safety backup of the current state. */
+  async restoreBackup(file) {
+    try {
+      const restored = await this.readBackup(file);
+      this.upgradeQuestLog(restored, file.name);
+
+      await this.checkActiveSession();
+      this.closeActiveSession();
+      const time = new Date().toISOString().slice(11, 19).replace(/:/g, '');
+      const safety = await this.performBackup(`_pre-restore-${time}`);
+      if (!safety) throw new Error('Could not write a safety backup');
+
+      this.recordHistory(`Restore ${file.name}`);
+      this.adoptCurrentDay(restored);
+      this.questLog = restored;
+      this._categoryCache = null;
+      await this.forceSave();
+      this.queueNoteSync();
+      this.updateRibbonLabel();
+      this.refreshView();
+      new Notice(`✓ Restored ${file.name}. Previous data saved as ${safety.split('/').pop()}`);
+      return true;
     } catch (err) {
-      console.error("QuestLog: Backup failed", err);
+      console.error('Restore error:', err);
+      new Notice(`❌ Failed to restore: ${err.message}`);
+      return false;
     }
   }
 
   async saveQuestLog() {
+    this._streakCache = null;
     // Debounce wrapper
     if (this.saveTimer) clearTimeout(this.saveTimer);
     this.saveTimer = setTimeout(() => this.forceSave(), 500);
@@ -273,50 +1483,476 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
 
   async commit(skipRender = false) {
     await this.saveQuestLog();
+    this.queueNoteSync();
+    this.updateStatusBar();
     if (!skipRender) this.refreshView();
   }
 
-  async ensureDailyRollover() {
-    const todayUtc = this.getTodayDateStr();
+  /* --- Undo / redo --- */
+
+  /**
+   * Copies the quest log for the history. A running timer is booked up to now in
+   * the copy, so restoring it never loses tracked time.
+   */
+  snapshotQuestLog(label) {
+    const time = Date.now();
+    const log = JSON.parse(JSON.stringify(this.questLog));
+    this.closeActiveSession(time, log);
+    return { label, time, log: JSON.stringify(log) };
+  }
+
+  /** Call right before a quest mutation that should be undoable. */
+  recordHistory(label) {
+    this.history.undo.push(this.snapshotQuestLog(label));
+    if (this.history.undo.length > HISTORY_LIMIT) this.history.undo.shift();
+    this.history.redo = [];
+  }
+
+  clearHistory() { this.history = { undo: [], redo: [] }; }
+
+  async undo() { return this.stepHistory(this.history.undo, this.history.redo, 'Undid'); }
+
+  async redo() { return this.stepHistory(this.history.redo, this.history.undo, 'Redid'); }
+
+  async stepHistory(from, to, verb) {
+    const entry = from.pop();
+    if (!entry) return void new Notice(verb === 'Undid' ? 'Nothing to undo.' : 'Nothing to redo.');
+    to.push(this.snapshotQuestLog(entry.label));
+    await this.applySnapshot(entry);
+    new Notice(`${verb === 'Undid' ? '↶' : '↷'} ${verb}: ${entry.label}`);
+  }
+
+  /**
+   * Carries what undo can't take back from the live log into a restored one:
+   * timer sessions and pomodoros recorded after `since`, the penalty ledger
+   * (replaying new penalties on the restored player), the current day, today's
+   * counters and the running timer. Days the live log has closed are never
+   * walked again. Manual time, quests, completions and the rest come from the
+   * restored log.
+   */
+  carryOverLiveState(restored, live, since) {
+    const questIds = new Set(restored.quests.map((q) => q.id));
+    const key = (x) => `${x.questId}|${x.start}`;
+    for (const list of ['sessions', 'pomodoros']) {
+      const known = new Map(restored[list].map((x) => [key(x), x]));
+      for (const x of live[list]) {
+        if (x.manual || !x.start || !(x.end > since) || !questIds.has(x.questId)) continue;
+        const booked = known.get(key(x));
+        if (!booked) restored[list].push(x);
+        // The snapshot booked a timer that was running when it was taken; add the time after that
+        else if (list === 'sessions' && x.end > booked.end) restored[list].push({ ...x, start: booked.end, minutes: (x.minutes * (x.end - booked.end)) / (x.end - x.start) });
+      }
+    }
+
+    const penaltyKey = (x) => `${x.date}|${x.questId || 'knockout'}`;
+    const charged = new Set(restored.penalties.map(penaltyKey));
+    const newPenalties = live.penalties.filter((x) => !charged.has(penaltyKey(x)));
+    restored.penalties = live.penalties;
+    restored.noteSync = live.noteSync;
+
+    const ts = restored.timerState, lts = live.timerState;
+    const doneOn = (log, id) => log.completions.some((c) => c.questId === id && c.date === live.day);
+    // Counters are live, except for quests whose completion today the restore takes back or brings back
+    const counts = {};
+    for (const q of restored.quests) {
+      const source = doneOn(live, q.id) !== doneOn(restored, q.id) && restored.day === live.day ? ts : lts;
+      if (source.counts?.[q.id]) counts[q.id] = source.counts[q.id];
+    }
+    restored.day = live.day;
+    Object.assign(ts, { counts, activeQuestId: null, startTime: null, reviewedStart: null });
+    if (lts.activeQuestId && restored.quests.some((q) => q.id === lts.activeQuestId && !q.archived)) {
+      ts.activeQuestId = lts.activeQuestId;
+      ts.startTime = Math.max(lts.startTime, since);
+      ts.reviewedStart = lts.reviewedStart;
+    }
+    ts.pomodoro = lts.pomodoro && questIds.has(lts.pomodoro.questId) ? lts.pomodoro : null;
+    this.rebuildPausedSessions(restored);
+    return newPenalties;
+  }
 
-    if (this.questLog.day !== todayUtc) {
-      const s = this.questLog.timerState;
-      
-      // 1. Capture time from yesterday BEFORE resetting
-      if (s.activeQuestId && s.startTime) {
-        const elapsed = Math.max(0, (Date.now() - s.startTime) / 60000);
-        s.pausedSessions[s.activeQuestId] = (s.pausedSessions[s.activeQuestId] || 0) + elapsed;
+  /** Applies penalties to the current player in ledger order, the way penalizeDay charged them. */
+  replayPenalties(entries) {
+    const p = this.questLog.player;
+    for (const x of entries) {
+      if (x.knockout) {
+        p.level = Math.max(1, p.level - 1);
+        p.xp = 0;
+        p.hp = this.getMaxHp();
+      } else {
+        if (x.hp) p.hp = Math.max(1, this.getHp() - x.hp);
+        if (x.xp) this.removeXP(x.xp);
       }
+    }
+  }
 
-      // 2. Save yesterday's final state
-      await this.forceSave();
-      await this.performBackup(); 
+  /**
+   * Replaces the quest log with a history snapshot, keeping the live tracking
+   * state (see carryOverLiveState). Quest notes are brought in line with the
+   * restored quests.
+   */
+  async applySnapshot(entry) {
+    const restored = JSON.parse(entry.log);
+    const previous = this.questLog;
+    const newPenalties = this.carryOverLiveState(restored, previous, entry.time);
+
+    this.questLog = restored;
+    this._categoryCache = null;
+    this.recalculatePlayerLevel();
+    this.replayPenalties(newPenalties);
+
+    if (this.settings.questNotesEnabled) {
+      const before = new Map(previous.quests.map((q) => [q.id, JSON.stringify(q)]));
+      const kept = new Set(restored.quests.map((q) => q.id));
+      for (const q of previous.quests) {
+        const note = !kept.has(q.id) && q.notePath && this.app.vault.getAbstractFileByPath(q.notePath);
+        if (note instanceof TFile) await this.app.vault.trash(note, true);
+      }
+      for (const q of restored.quests) {
+        const exists = q.notePath && this.app.vault.getAbstractFileByPath(q.notePath) instanceof TFile;
+        if (before.get(q.id) !== JSON.stringify(q) || (q.notePath && !exists)) await this.writeQuestNote(q);
+      }
+    }
+    await this.commit();
+  }
+
+  /** Confirmation notice with an "Undo" button for the change just recorded. */
+  notifyUndoable(message) {
+    const notice = new Notice(createFragment((f) => {
+      f.appendText(`${message} `);
+      const btn = f.createEl('button', { text: 'Undo', cls: 'quest-notice-undo', attr: { type: 'button' } });
+      btn.addEventListener('click', () => { notice.hide(); this.undo(); });
+    }), 6000);
+    return notice;
+  }
+
+  /* --- Daily note sync --- */
+
+  /** Path of the note that holds the checklist for `day` (follows renames of that day's note). */
+  getSyncNotePath(day = this.today) {
+    const sync = this.questLog.noteSync;
+    if (sync && sync.day === day && sync.path) return sync.path;
+    let path = normalizePath(this.settings.noteSyncPath.replace(/\{\{date\}\}/g, day));
+    if (!path.endsWith('.md')) path += '.md';
+    return path;
+  }
+
+  queueNoteSync() {
+    if (!this.settings.noteSyncEnabled) return;
+    if (this.noteSyncTimer) clearTimeout(this.noteSyncTimer);
+    this.noteSyncTimer = setTimeout(() => this.syncDailyNote(), 1000);
+  }
+
+  buildChecklistLines(day = this.today) {
+    const doneOn = new Set(this.questLog.completions.filter((c) => c.date === day).map((c) => c.questId));
+    return this.getActiveQuests().filter((q) => this.isScheduledOn(q, day)).map((q) => {
+      const extras = [];
+      const progress = this.getPeriodProgress(q, day);
+      if (progress) extras.push(`${progress.done}/${progress.target} this ${progress.period}`);
+      else if (q.target > 0 && !doneOn.has(q.id)) extras.push(`${this.getQuantity(q.id)}/${q.target}${q.unit ? ` ${q.unit}` : ''}`);
+      const suffix = extras.length ? ` (${extras.join(', ')})` : '';
+      return `- [${doneOn.has(q.id) ? 'x' : ' '}] ${q.name}${suffix} %%quest:${q.id}%%`;
+    });
+  }
+
+  /**
+   * Writes a day's quests (today's by default) as a checklist into the configured
+   * daily note. With `create: false` a missing note is left alone.
+   */
+  async syncDailyNote(day = this.today, { create = true } = {}) {
+    if (this.noteSyncTimer) { clearTimeout(this.noteSyncTimer); this.noteSyncTimer = null; }
+    if (!this.settings.noteSyncEnabled) return;
+    try {
+      const path = this.getSyncNotePath(day);
+      const lines = this.buildChecklistLines(day);
+      let file = this.app.vault.getAbstractFileByPath(path);
+      if (!(file instanceof TFile) && !create) return;
+      if (!(file instanceof TFile)) {
+        const folder = path.split('/').slice(0, -1).join('/');
+        if (folder && !this.app.vault.getAbstractFileByPath(folder)) await this.app.vault.createFolder(folder);
+        file = await this.app.vault.create(path, mergeChecklist('', this.settings.noteSyncHeading, lines));
+        this.lastNoteContent = await this.app.vault.read(file);
+      } else {
+        await this.app.vault.process(file, (content) => {
+          this.lastNoteContent = mergeChecklist(content, this.settings.noteSyncHeading, lines);
+          return this.lastNoteContent;
+        });
+      }
+      if (this.questLog.noteSync?.day !== day || this.questLog.noteSync?.path !== path) {
+        this.questLog.noteSync = { day, path };
+        await this.saveQuestLog();
+      }
+    } catch (err) {
+      console.error('QuestLog: Note sync failed', err);
+    }
+  }
+
+  /** Completes/uncompletes quests whose checklist box was toggled in the note. */
+  async applyNoteChecklist(file) {
+    const content = await this.app.vault.read(file);
+    if (content === this.lastNoteContent) return;
+    this.lastNoteContent = content;
+
+    const t = this.today;
+    for (const [questId, checked] of Object.entries(parseChecklist(content))) {
+      const quest = this.questLog.quests.find((q) => q.id === questId);
+      if (!quest || quest.archived) continue;
+      const doneToday = this.questLog.completions.some((c) => c.questId === questId && c.date === t);
+      if (checked && !doneToday) await this.completeQuest(quest);
+      else if (!checked && doneToday) await this.uncompleteQuest(questId);
+    }
+  }
 
-      // 3. Reset for New Day
-      s.activeQuestId = null;
-      s.startTime = null;
-      s.pausedSessions = {}; // Wipe daily timers
-      this.questLog.day = todayUtc;
+  /* --- Quest notes --- */
 
-      // 4. Save new day
+  getQuestNotesFolder() { return normalizePath(this.settings.questNotesFolder || DEFAULT_SETTINGS.questNotesFolder); }
+
+  isQuestNote(file) {
+    return this.settings.questNotesEnabled && file instanceof TFile && file.extension === 'md'
+      && file.path.startsWith(`${this.getQuestNotesFolder()}/`);
+  }
+
+  /** Reads every note in the quest folder into questLog.quests. */
+  async indexQuestNotes() {
+    if (!this.settings.questNotesEnabled) return;
+    let changed = false;
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      if (this.isQuestNote(file)) changed = (await this.indexQuestNote(file)) || changed;
+    }
+    if (changed) await this.commit();
+  }
+
+  /**
+   * Creates or updates the quest backed by `file` from its frontmatter.
+   * Notes without a `questId` get one written back. Returns whether anything changed.
+   */
+  async indexQuestNote(file) {
+    const fm = this.app.metadataCache.getFileCache(file)?.frontmatter || {};
+    const fields = questFieldsFromFrontmatter(fm, file);
+    const questId = fm.questId ? String(fm.questId) : null;
+    let quest = (questId && this.questLog.quests.find((q) => q.id === questId))
+      || this.questLog.quests.find((q) => q.notePath === file.path);
+
+    if (!quest) {
+      quest = { id: questId || genId(), ...fields, order: this.getActiveQuests().length, createdAt: this.getTodayDateStr(), notePath: file.path };
+      recordQuestState(quest, quest.createdAt);
+      this.questLog.quests.push(quest);
+      this._categoryCache = null;
+      if (!questId) await this.app.fileManager.processFrontMatter(file, (f) => { f.questId = quest.id; });
+      return true;
+    }
+
+    const changed = quest.notePath !== file.path || Object.keys(fields).some((k) => quest[k] !== fields[k]);
+    if (!changed) return false;
+    if (fields.archived && !quest.archived && this.questLog.timerState.activeQuestId === quest.id) {
+      await this.checkActiveSession();
+      this.closeActiveSession();
+    }
+    Object.assign(quest, fields, { notePath: file.path });
+    recordQuestState(quest, this.today);
+    this._categoryCache = null;
+    return true;
+  }
+
+  /** Writes a quest's definition to its note, creating the note if needed. */
+  async writeQuestNote(quest) {
+    if (!this.settings.questNotesEnabled) return;
+    try {
+      const file = quest.notePath && this.app.vault.getAbstractFileByPath(quest.notePath);
+      if (file instanceof TFile) {
+        await this.app.fileManager.processFrontMatter(file, (fm) => questToFrontmatter(quest, fm));
+        return;
+      }
+      const folder = this.getQuestNotesFolder();
+      if (!this.app.vault.getAbstractFileByPath(folder)) await this.app.vault.createFolder(folder);
+      let path = `${folder}/${safeFileName(quest.name)}.md`;
+      for (let i = 2; this.app.vault.getAbstractFileByPath(path); i++) path = `${folder}/${safeFileName(quest.name)} ${i}.md`;
+      quest.notePath = path;
+      await this.app.vault.create(path, `---\n${stringifyYaml(questToFrontmatter(quest))}---\n`);
+    } catch (err) {
+      console.error('QuestLog: Writing quest note failed', err);
+    }
+  }
+
+  async exportQuestsToNotes() {
+    const pending = this.questLog.quests.filter((q) => !q.notePath);
+    for (const quest of pending) await this.writeQuestNote(quest);
+    await this.commit();
+    new Notice(`✓ Created ${pending.length} quest note${pending.length === 1 ? '' : 's'}`);
+  }
+
+  async openQuestNote(quest) {
+    const file = quest.notePath && this.app.vault.getAbstractFileByPath(quest.notePath);
+    if (file instanceof TFile) await this.app.workspace.getLeaf(false).openFile(file);
+  }
+
+  /** Catches up on every day that ended since the last rollover. Concurrent callers share the same walk. */
+  ensureDailyRollover() {
+    return (this.rolloverWalk ||= this.rollOver().finally(() => { this.rolloverWalk = null; }));
+  }
+
+  async rollOver() {
+    // Nothing gets booked before a suspicious session has been reviewed
+    await this.checkActiveSession();
+    const today = this.getTodayDateStr();
+
+    if (this.questLog.day < today) {
+      const penalties = { missed: 0, hp: 0, xp: 0, knockouts: 0, rest: 0 };
+      let days = 0;
+      while (this.questLog.day < today) {
+        await this.closeDay(this.questLog.day, penalties);
+        days++;
+      }
       await this.forceSave();
+      await this.syncDailyNote();
       this.refreshView();
-      
-      new Notice('☀️ A new day begins! Timers reset.');
-    } else {
-      // Routine backup check on startup
-      await this.performBackup();
+
+      new Notice(days > 1 ? `☀️ A new day begins! Caught up on ${days} days.` : '☀️ A new day begins! Timers reset.');
+      this.notifyPenalties(penalties);
+      // Streaks and perfect weeks are dated from history, so one check covers every closed day
+      await this.checkAchievements({ rollover: true });
     }
+    // One backup (and prune) per rollover; on startup it's the routine daily check
+    await this.performBackup();
+  }
+
+  /**
+   * Closes `day` and moves the log on to the next one: a running timer is
+   * split at midnight (it keeps running into the next day), then the day is
+   * penalised, synced to its note (if there is one) and reported on, and its
+   * timers and counters are reset.
+   */
+  async closeDay(day, penalties) {
+    const s = this.questLog.timerState;
+    const next = shiftDate(day, 1);
+
+    // 1. Book the running timer's share of this day
+    const questId = s.activeQuestId;
+    const boundary = Math.min(this.getDayStart(next), Date.now());
+    const running = questId && s.startTime && s.startTime < boundary;
+    const reviewed = running && s.reviewedStart === s.startTime;
+    if (running) this.closeActiveSession(boundary);
+
+    // 2. Save the day's final state and run the per-day hooks
+    await this.forceSave();
+    await this.penalizeDay(day, penalties);
+    await this.syncDailyNote(day, { create: false });
+    await this.runAutoReports(day, next);
+
+    // 3. Reset for the next day
+    s.pausedSessions = {}; // Wipe daily timers (history lives in questLog.sessions)
+    s.counts = {};         // Unfinished quantities don't carry over
+    s.pomodoro = null;     // Pomodoro cycles start over each day
+    if (running) {
+      Object.assign(s, { activeQuestId: questId, startTime: boundary });
+      if (reviewed) s.reviewedStart = boundary;
+    }
+    this.questLog.day = next;
   }
 
   get today() { return this.questLog.day; }
 
-  isScheduledToday(schedule) {
-    const scheduleObj = parseSchedule(schedule);
-    const todayDateStr = this.getTodayDateStr();
-    const dateObj = new Date(todayDateStr);
-    const dayIndex = dateObj.getUTCDay();
-    return scheduleObj.days.has(DAY_KEYS[dayIndex]);
+  isScheduledToday(quest) {
+    return this.isScheduledOn(quest, this.getTodayDateStr());
+  }
+
+  isScheduledOn(quest, dateStr) {
+    const rule = parseSchedule(quest.schedule);
+    const ctx = { createdAt: quest.createdAt };
+    if (rule.anchor === 'completion') ctx.lastCompletion = this.getLastCompletionDate(quest.id, dateStr);
+    if (rule.kind === 'frequency') {
+      const { start } = periodRange(rule.period, dateStr);
+      for (const c of this.questLog.completions) {
+        if (c.questId !== quest.id) continue;
+        if (c.date === dateStr) ctx.completedOn = true;
+        else if (c.date >= start && c.date < dateStr) ctx.periodCount = (ctx.periodCount || 0) + 1;
+      }
+    }
+    return scheduleOccursOn(rule, dateStr, ctx);
+  }
+
+  /** Like isScheduledOn, but with the schedule and archived state the quest had on `dateStr`. */
+  wasScheduledOn(quest, dateStr) {
+    const state = questStateOn(quest, dateStr);
+    if (!state || state.archived) return false;
+    return this.isScheduledOn({ ...quest, schedule: state.schedule }, dateStr);
+  }
+
+  /** Completions of a frequency quest in the period containing `dateStr`, or null for other quests. */
+  getPeriodProgress(quest, dateStr = this.getTodayDateStr()) {
+    const rule = parseSchedule(quest.schedule);
+    if (rule.kind !== 'frequency') return null;
+    const { start, end } = periodRange(rule.period, dateStr);
+    const done = this.questLog.completions.filter((c) => c.questId === quest.id && c.date >= start && c.date <= end).length;
+    return { done, target: rule.target, period: rule.period };
+  }
+
+  /** Latest completion date of a quest strictly before `beforeDate`. */
+  getLastCompletionDate(questId, beforeDate) {
+    let last = null;
+    for (const c of this.questLog.completions) {
+      if (c.questId === questId && c.date < beforeDate && (!last || c.date > last)) last = c.date;
+    }
+    return last;
+  }
+
+  /** Next dates (from today on) a schedule falls on, looking at most a year ahead. */
+  getUpcomingDates(quest, count = 3) {
+    const today = this.getTodayDateStr();
+    const probe = { ...quest, createdAt: quest.createdAt || today };
+    const dates = [];
+    for (let i = 0, d = today; i < 366 && dates.length < count; i++, d = shiftDate(d, 1)) {
+      if (this.isScheduledOn(probe, d)) dates.push(d);
+    }
+    return dates;
+  }
+
+  /**
+   * Current and best streak for one quest, counted over its scheduled days only.
+   * Unscheduled days never break a streak; today only counts once it is completed.
+   * `until` counts the streaks as they stood at the end of that day.
+   * Cached until the quest log is saved or swapped out.
+   */
+  getQuestStreak(quest, until = this.getTodayDateStr()) {
+    if (this._streakCache?.log !== this.questLog) this._streakCache = { log: this.questLog, streaks: new Map() };
+    const key = `${quest.id}|${quest.schedule}|${quest.createdAt}|${this.getTodayDateStr()}|${until}`;
+    const streaks = this._streakCache.streaks;
+    if (!streaks.has(key)) streaks.set(key, this.computeQuestStreak(quest, until));
+    return streaks.get(key);
+  }
+
+  computeQuestStreak(quest, until) {
+    const completions = this.questLog.completions.filter((c) => c.questId === quest.id && c.date <= until);
+    const dates = new Set(completions.map((c) => c.date));
+    const today = this.getTodayDateStr();
+    let start = quest.createdAt || null;
+    for (const d of dates) if (!start || d < start) start = d;
+    if (!start) return { current: 0, best: 0 };
+
+    const rule = parseSchedule(quest.schedule);
+    let current = 0, best = 0, lastCompletion = null;
+
+    // Frequency quests keep their streak per period (week/month) in which the target was met
+    if (rule.kind === 'frequency') {
+      const counts = {};
+      for (const c of completions) { const k = periodRange(rule.period, c.date).start; counts[k] = (counts[k] || 0) + 1; }
+      const { start: currentPeriod, end: periodEnd } = periodRange(rule.period, until);
+      // The last period only breaks the streak once it is over
+      const periodOpen = until >= today || until < periodEnd;
+      for (let p = periodRange(rule.period, start).start; p <= currentPeriod; p = shiftDate(periodRange(rule.period, p).end, 1)) {
+        if ((counts[p] || 0) >= rule.target) { current++; best = Math.max(best, current); }
+        else if (p !== currentPeriod || !periodOpen) current = 0;
+      }
+      return { current, best, unit: rule.period };
+    }
+
+    for (let d = start; d <= until; d = shiftDate(d, 1)) {
+      const scheduled = scheduleOccursOn(rule, d, { createdAt: quest.createdAt, lastCompletion });
+      if (dates.has(d)) lastCompletion = d;
+      if (!scheduled) continue;
+      if (dates.has(d)) { current++; best = Math.max(best, current); }
+      else if (d !== today) current = 0;
+    }
+    return { current, best };
   }
 
   getCategoryList() {
@@ -338,27 +1974,35 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
       .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
   }
 
-  async createQuest({ name, category, schedule, estimateMinutes }) {
+  async createQuest({ name, category, schedule, estimateMinutes, difficulty, target, unit, pomodoro = null }) {
+    this.recordHistory(`Create "${name.trim()}"`);
     const quest = {
       id: genId(),
       name: name.trim(),
       category: category.trim().toLowerCase(),
       schedule: schedule.trim(),
       estimateMinutes: estimateMinutes > 0 ? Math.floor(estimateMinutes) : null,
+      difficulty: normDifficulty(difficulty),
+      target: target > 0 ? Math.floor(target) : null,
+      unit: (unit || '').trim(),
+      pomodoro: typeof pomodoro === 'boolean' ? pomodoro : null,
       order: this.getActiveQuests().length,
       createdAt: this.getTodayDateStr(),
       archived: false,
     };
+    recordQuestState(quest, quest.createdAt);
     this.questLog.quests.push(quest);
     this._categoryCache = null;
+    await this.writeQuestNote(quest);
     await this.commit();
-    new Notice(`✓ Quest created: ${quest.name}`);
+    this.notifyUndoable(`✓ Quest created: ${quest.name}`);
     return quest;
   }
 
   async updateQuest(id, changes) {
     const q = this.questLog.quests.find((x) => x.id === id);
     if (!q) return void new Notice('❌ Quest not found');
+    this.recordHistory(`Edit "${q.name}"`);
 
     if ('category' in changes) {
       changes.category = changes.category.trim().toLowerCase();
@@ -367,10 +2011,16 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
     if ('estimateMinutes' in changes) {
       changes.estimateMinutes = changes.estimateMinutes > 0 ? Math.floor(changes.estimateMinutes) : null;
     }
+    if ('difficulty' in changes) changes.difficulty = normDifficulty(changes.difficulty);
+    if ('target' in changes) changes.target = changes.target > 0 ? Math.floor(changes.target) : null;
+    if ('unit' in changes) changes.unit = (changes.unit || '').trim();
+    if ('pomodoro' in changes) changes.pomodoro = typeof changes.pomodoro === 'boolean' ? changes.pomodoro : null;
 
     Object.assign(q, changes);
+    recordQuestState(q, this.today);
+    await this.writeQuestNote(q);
     await this.commit();
-    new Notice('✓ Quest updated');
+    this.notifyUndoable('✓ Quest updated');
   }
 
   async deleteQuest(id, skipConfirm = false) {
@@ -381,17 +2031,22 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
       const q = this.questLog.quests[idx];
       if (!(await this.showConfirmDialog('🗑️ Delete Quest', `Delete "${q.name}"?`))) return;
     }
+    await this.checkActiveSession();
+    this.recordHistory(`Delete "${this.questLog.quests[idx].name}"`);
     const s = this.questLog.timerState;
-    if (s.activeQuestId === id) { 
-      s.activeQuestId = null; 
-      s.startTime = null; 
-    }
+    if (s.activeQuestId === id) this.closeActiveSession();
 
     if (s.pausedSessions && s.pausedSessions[id]) {
       delete s.pausedSessions[id];
     }
+    if (s.counts) delete s.counts[id];
     this.questLog.completions = this.questLog.completions.filter((c) => c.questId !== id);
-    this.questLog.quests.splice(idx, 1);
+    this.questLog.sessions = this.questLog.sessions.filter((x) => x.questId !== id);
+    this.questLog.pomodoros = this.questLog.pomodoros.filter((x) => x.questId !== id);
+    if (s.pomodoro?.questId === id) s.pomodoro = null;
+    const [removed] = this.questLog.quests.splice(idx, 1);
+    const note = removed.notePath && this.app.vault.getAbstractFileByPath(removed.notePath);
+    if (note instanceof TFile) await this.app.vault.trash(note, true);
     
     this.questLog.quests.sort((a, b) => (a.order ?? 0) - (b.order ?? 0)).forEach((q, i) => (q.order = i));
     
@@ -399,32 +2054,38 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
     this.recalculatePlayerLevel();
     
     await this.commit();
-    new Notice('✓ Quest deleted');
+    this.notifyUndoable('✓ Quest deleted');
   }
 
   async archiveQuest(id) {
     const q = this.questLog.quests.find((x) => x.id === id);
     if (!q) return void new Notice('❌ Quest not found');
     if (q.archived) return void new Notice('Already archived.');
+    this.recordHistory(`Archive "${q.name}"`);
 
     const s = this.questLog.timerState;
     if (s.activeQuestId === id) await this.pauseQuest(id);
 
     q.archived = true;
+    recordQuestState(q, this.today);
     this._categoryCache = null;
+    await this.writeQuestNote(q);
     await this.commit();
-    new Notice(`📦 Archived: ${q.name}`);
+    this.notifyUndoable(`📦 Archived: ${q.name}`);
   }
 
   async unarchiveQuest(id) {
     const q = this.questLog.quests.find((x) => x.id === id);
     if (!q) return void new Notice('❌ Quest not found');
     if (!q.archived) return void new Notice('Quest is not archived.');
+    this.recordHistory(`Unarchive "${q.name}"`);
 
     q.archived = false;
+    recordQuestState(q, this.today);
     this._categoryCache = null;
+    await this.writeQuestNote(q);
     await this.commit();
-    new Notice(`⏎ Unarchived: ${q.name}`);
+    this.notifyUndoable(`⏎ Unarchived: ${q.name}`);
   }
 
   async reorderQuests(questIds, category) {
@@ -439,6 +2100,7 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
     const originalSeq = inCat.map(q => q.id);
     const unchanged = originalSeq.length === newSeq.length && originalSeq.every((id, i) => id === newSeq[i]);
     if (unchanged) return;
+    this.recordHistory(`Reorder ${category}`);
 
     const base = inCat.length ? Math.min(...inCat.map(q => q.order ?? 0)) : 0;
     newSeq.forEach((id, i) => {
@@ -449,13 +2111,17 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
   }
 
   getTodayQuests() {
-    return this.getActiveQuests().filter((q) => this.isScheduledToday(q.schedule));
+    return this.getActiveQuests().filter((q) => this.isScheduledToday(q));
   }
   getOtherQuests() {
-    return this.getActiveQuests().filter((q) => !this.isScheduledToday(q.schedule));
+    return this.getActiveQuests().filter((q) => !this.isScheduledToday(q));
   }
+  /** Done for today — for frequency quests, once the period's target has been met. */
   isCompletedToday(questId) {
     const t = this.today;
+    const quest = this.questLog.quests.find((q) => q.id === questId);
+    const progress = quest && this.getPeriodProgress(quest, t);
+    if (progress) return progress.done >= progress.target;
     return this.questLog.completions.some((c) => c.questId === questId && c.date === t);
   }
 
@@ -480,7 +2146,7 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
   }
 
   async startQuest(questId) {
-    if (this.isCompletedToday(questId)) return void new Notice('Already completed today.');
+    if (this.isCompletedToday(questId)) return void new Notice(this.alreadyDoneMessage(questId));
     const q = this.questLog.quests.find((x) => x.id === questId);
     if (!q) return void new Notice('❌ Quest not found');
     if (q.archived) return void new Notice('📦 This quest is archived. Unarchive it to start.');
@@ -490,19 +2156,249 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
 
     s.activeQuestId = questId;
     s.startTime = Date.now(); // UTC timestamp integer
+    if (this.isPomodoroQuest(q)) this.beginPomodoro(questId, s.startTime);
+    else if (s.pomodoro) s.pomodoro.phase = null;
     await this.commit();
   }
 
   async pauseQuest(questId, skipRender = false) {
     const s = this.questLog.timerState;
     if (s.activeQuestId !== questId) return;
-    s.pausedSessions[questId] = (s.pausedSessions[questId] || 0) + this.getActiveElapsedMinutes();
-    s.activeQuestId = null; s.startTime = null;
+    await this.checkActiveSession();
+    // The review may have paused it already
+    if (s.activeQuestId !== questId) return;
+    this.closeActiveSession();
+    // A work block interrupted by hand doesn't count
+    if (s.pomodoro?.phase === 'work') s.pomodoro.phase = null;
     await this.commit(skipRender);
   }
 
+  /* --- Current quest & status bar --- */
+
+  /**
+   * The quest the global timer controls act on: the running one, otherwise the
+   * open quest that was timed most recently today.
+   */
+  getCurrentQuest() {
+    const s = this.questLog.timerState;
+    const find = (id) => this.questLog.quests.find((q) => q.id === id && !q.archived);
+    if (s.activeQuestId) return find(s.activeQuestId) || null;
+    for (let i = this.questLog.sessions.length - 1; i >= 0; i--) {
+      const x = this.questLog.sessions[i];
+      if (x.date !== this.today) continue;
+      const quest = find(x.questId);
+      if (quest && !this.isCompletedToday(quest.id)) return quest;
+    }
+    return null;
+  }
+
+  async toggleCurrentQuest() {
+    const quest = this.getCurrentQuest();
+    if (!quest) return void new QuestSuggestModal(this.app, this).open();
+    if (this.questLog.timerState.activeQuestId === quest.id) await this.pauseQuest(quest.id);
+    else await this.startQuest(quest.id);
+  }
+
+  async completeActiveQuest() {
+    const { activeQuestId } = this.questLog.timerState;
+    const quest = activeQuestId && this.questLog.quests.find((q) => q.id === activeQuestId);
+    if (!quest) return void new Notice('No quest timer is running.');
+    await this.completeQuest(quest);
+  }
+
+  async stopAllTimers() {
+    const s = this.questLog.timerState;
+    if (!s.activeQuestId && !s.pomodoro?.phase) return void new Notice('No timers are running.');
+    if (s.activeQuestId) await this.pauseQuest(s.activeQuestId);
+    if (s.pomodoro?.phase) { s.pomodoro.phase = null; await this.commit(); }
+    new Notice('⏹ All timers stopped');
+  }
+
+  updateStatusBar() {
+    const el = this.statusBarEl;
+    if (!el) return;
+    const s = this.questLog.timerState;
+    const quest = this.getCurrentQuest();
+    const pomodoro = s.pomodoro;
+    const name = (q) => (q.name.length > 24 ? `${q.name.slice(0, 23)}…` : q.name);
+    let text = '', title = '', overtime = false;
+
+    if (quest) {
+      const { isActive, isOvertime, totalMinutes } = this.getQuestState(quest.id);
+      const estimate = quest.estimateMinutes > 0 ? ` / ${formatTime(quest.estimateMinutes)}` : '';
+      overtime = isOvertime;
+      text = `${isActive ? '⏱' : '⏸'} ${name(quest)} · ${formatTime(totalMinutes)}${estimate}${isOvertime ? ' ⚠️' : ''}`;
+      title = isActive ? 'Click to pause' : 'Click to resume';
+      if (isActive && pomodoro?.phase === 'work') text += ` · 🍅 ${formatTime((pomodoro.endsAt - Date.now()) / 60000)}`;
+    }
+    if (!s.activeQuestId && pomodoro?.phase === 'break') {
+      text = `☕ ${pomodoro.kind === 'long' ? 'Long break' : 'Break'} · ${formatTime((pomodoro.endsAt - Date.now()) / 60000)}${quest ? ` · next: ${name(quest)}` : ''}`;
+      title = quest ? 'Click to end the break and resume' : '';
+    }
+
+    el.setText(text);
+    el.toggle(!!text);
+    el.toggleClass('quest-status-bar--overtime', overtime);
+    el.setAttribute('aria-label', title);
+  }
+
+  /* --- Forgotten timers --- */
+
+  beat(now = Date.now()) {
+    this.lastHeartbeat = now;
+    window.localStorage.setItem(this.heartbeatKey, String(now));
+  }
+
+  /**
+   * Describes the running session if it looks forgotten: it spans a heartbeat
+   * gap (app closed, machine asleep) or exceeds the max session length.
+   * `trimEnd` is the last moment the time can be trusted.
+   */
+  findSuspiciousSession(now = Date.now()) {
+    const s = this.questLog.timerState;
+    if (!s.activeQuestId || !s.startTime || s.reviewedStart === s.startTime) return null;
+    const quest = this.questLog.quests.find((q) => q.id === s.activeQuestId);
+    if (!quest) return null;
+
+    const gapStart = this.lastHeartbeat > s.startTime ? this.lastHeartbeat : null;
+    const idle = gapStart !== null && now - gapStart > HEARTBEAT_GAP_MINUTES * 60000;
+    const maxMs = this.settings.maxSessionMinutes * 60000;
+    const tooLong = maxMs > 0 && now - s.startTime > maxMs;
+    if (!idle && !tooLong) return null;
+
+    const trimEnd = Math.min(idle ? gapStart : now, tooLong ? s.startTime + maxMs : now);
+    return { quest, start: s.startTime, end: now, trimEnd, idle, gapStart };
+  }
+
+  /**
+   * Asks what to do with a suspicious running session before its time is
+   * booked. Runs before anything that stops a live timer; callers arriving
+   * while the dialog is open wait for the answer.
+   */
+  async checkActiveSession(now = Date.now()) {
+    if (this.sessionReview) return void (await this.sessionReview);
+    const review = this.findSuspiciousSession(now);
+    if (!review) return;
+
+    this.sessionReview = new Promise((resolve) => new SessionReviewModal(this.app, this, review, resolve).open());
+    const choice = await this.sessionReview;
+    this.sessionReview = null;
+
+    const s = this.questLog.timerState;
+    // The timer was stopped or switched while the dialog was open
+    if (s.activeQuestId !== review.quest.id || s.startTime !== review.start) return;
+    if (choice === 'keep') {
+      s.reviewedStart = s.startTime;
+    } else {
+      const minutes = this.closeActiveSession(choice === 'trim' ? review.trimEnd : review.start);
+      if (s.pomodoro?.phase === 'work') s.pomodoro.phase = null;
+      new Notice(choice === 'trim'
+        ? `✂️ Kept ${formatTime(minutes)} of ${review.quest.name}; the timer is paused.`
+        : `🗑️ Discarded the session of ${review.quest.name}; the timer is paused.`);
+    }
+    await this.commit();
+  }
+
+  /* --- Pomodoro --- */
+
+  isPomodoroQuest(quest) { return quest?.pomodoro ?? this.settings.pomodoroEnabled; }
+
+  beginPomodoro(questId, now = Date.now()) {
+    const s = this.questLog.timerState;
+    const cycle = s.pomodoro?.cycle || 0;
+    s.pomodoro = { questId, phase: 'work', start: now, endsAt: now + Math.max(1, this.settings.pomodoroWorkMinutes) * 60000, cycle };
+  }
+
+  /**
+   * Moves the pomodoro on once its block is over: a finished work block pauses
+   * the quest (only the block's own minutes are tracked) and starts a break.
+   */
+  async tickPomodoro(now = Date.now()) {
+    const s = this.questLog.timerState;
+    const p = s.pomodoro;
+    if (!p?.phase) return;
+    // The timer was stopped some other way (completed, deleted, rolled over)
+    if (p.phase === 'work' && s.activeQuestId !== p.questId) { p.phase = null; return; }
+    if (now < p.endsAt) return;
+
+    const quest = this.questLog.quests.find((q) => q.id === p.questId);
+    if (p.phase === 'work') {
+      this.closeActiveSession(p.endsAt);
+      this.questLog.pomodoros.push({
+        questId: p.questId, date: this.questLog.day, start: p.start, end: p.endsAt,
+        minutes: Math.round((p.endsAt - p.start) / 60000),
+      });
+      p.cycle++;
+      const long = p.cycle % Math.max(1, Math.floor(this.settings.pomodoroLongBreakEvery)) === 0;
+      const minutes = long ? this.settings.pomodoroLongBreakMinutes : this.settings.pomodoroShortBreakMinutes;
+      Object.assign(p, { phase: 'break', kind: long ? 'long' : 'short', start: p.endsAt, endsAt: p.endsAt + minutes * 60000 });
+      new Notice(`🍅 Pomodoro done${quest ? `: ${quest.name}` : ''}! Take a ${minutes}-minute${long ? ' long' : ''} break.`, 8000);
+    } else {
+      p.phase = null;
+      new Notice(`⏰ Break's over${quest ? ` — back to ${quest.name}` : ''}!`, 8000);
+    }
+    await this.commit();
+  }
+
+  getPomodoroCount(questId, date = this.today) {
+    return this.questLog.pomodoros.filter((x) => x.questId === questId && x.date === date).length;
+  }
+
+  /**
+   * Stops the running timer, adds its time to today's total and appends the
+   * segment to the persistent session log. Returns the minutes recorded.
+   * Works on `log` so history snapshots can book a running timer too.
+   */
+  closeActiveSession(end = Date.now(), log = this.questLog) {
+    const s = log.timerState;
+    if (!s.activeQuestId || !s.startTime) return 0;
+    const questId = s.activeQuestId;
+    const minutes = Math.max(0, (end - s.startTime) / 60000);
+    s.pausedSessions[questId] = (s.pausedSessions[questId] || 0) + minutes;
+    if (minutes > 0) {
+      log.sessions.push({ questId, date: log.day, start: s.startTime, end, minutes });
+    }
+    s.activeQuestId = null; s.startTime = null;
+    return minutes;
+  }
+
+  /** Recomputes today's paused timer totals from the session log (quests done today have none). */
+  rebuildPausedSessions(log = this.questLog) {
+    const doneToday = new Set(log.completions.filter((c) => c.date === log.day).map((c) => c.questId));
+    const paused = {};
+    for (const x of log.sessions) {
+      if (x.date !== log.day || doneToday.has(x.questId)) continue;
+      paused[x.questId] = (paused[x.questId] || 0) + x.minutes;
+    }
+    log.timerState.pausedSessions = paused;
+  }
+
   async resumeQuest(questId) { return this.startQuest(questId); }
 
+  getQuantity(questId) { return this.questLog.timerState.counts?.[questId] || 0; }
+
+  /** Adds to (or takes from) today's amount of a quantity quest; reaching the target completes it. */
+  async incrementQuest(questId, delta = 1) {
+    const quest = this.questLog.quests.find((q) => q.id === questId);
+    if (!quest) return void new Notice('❌ Quest not found');
+    if (!(quest.target > 0)) return;
+    if (quest.archived) return void new Notice('📦 This quest is archived. Unarchive it to log progress.');
+    if (this.isCompletedToday(questId)) return void new Notice(this.alreadyDoneMessage(questId));
+
+    const counts = (this.questLog.timerState.counts ||= {});
+    const next = Math.max(0, (counts[questId] || 0) + delta);
+    if (next) counts[questId] = next; else delete counts[questId];
+
+    if (delta > 0 && next >= quest.target) return this.completeQuest(quest);
+    await this.commit();
+  }
+
+  alreadyDoneMessage(questId) {
+    const quest = this.questLog.quests.find((q) => q.id === questId);
+    const progress = quest && this.getPeriodProgress(quest);
+    return progress ? `Target already met this ${progress.period} (${progress.done}/${progress.target}).` : 'Already completed today.';
+  }
+
   awardXP(xp) {
     this.questLog.player.xp += xp;
     const { leveledUp, newLevel } = this.recalculatePlayerLevel();
@@ -527,58 +2423,227 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
     return { leveledUp: p.level > oldLevel, oldLevel, newLevel: p.level };
   }
 
+  /** Consecutive days with at least one completion, ending the day before `date` (yesterday by default). */
+  getDayStreak(date = this.today) {
+    const days = new Set(this.questLog.completions.map((c) => c.date));
+    let streak = 0;
+    for (let d = shiftDate(date, -1); days.has(d); d = shiftDate(d, -1)) streak++;
+    return streak;
+  }
+
+  calculateQuestXP(quest, trackedMinutes = this.getTotalMinutes(quest.id), quantity = null) {
+    return computeXP(quest, { trackedMinutes, streak: this.getDayStreak(), quantity }, this.settings);
+  }
+
   getXPForNextLevel(level) { return Math.round(XP_CONFIG.levelingBase * Math.pow(level, XP_CONFIG.levelingExponent)); }
 
-  async completeQuest(quest) {
+  async completeQuest(quest, count = null) {
     const id = quest.id;
     if (quest.archived) return void new Notice('❌ Cannot complete archived quest.');
-    if (this.isCompletedToday(id)) return void new Notice('Already completed today.');
+    if (this.isCompletedToday(id)) return void new Notice(this.alreadyDoneMessage(id));
+    await this.checkActiveSession();
+    this.recordHistory(`Complete "${quest.name}"`);
 
-    const xp = XP_CONFIG.flatXp;
+    const s = this.questLog.timerState;
+    if (s.activeQuestId === id) this.closeActiveSession();
     const finalTime = this.getTotalMinutes(id);
+    // Checking off a quantity quest without counting means the full target was done
+    const quantity = quest.target > 0 ? (count > 0 ? Math.floor(count) : this.getQuantity(id) || quest.target) : null;
+    const breakdown = this.calculateQuestXP(quest, finalTime, quantity);
+    const xp = breakdown.total;
 
-    this.questLog.completions.push({
+    const completion = {
       questId: id,
-      date: this.getTodayDateStr(),
+      date: this.today,
       xpEarned: xp,
-      _snapshotTime: finalTime
-    });
+      xpBreakdown: breakdown,
+      _snapshotTime: finalTime,
+      estimateMinutes: quest.estimateMinutes || null,
+      goldEarned: this.goldFor(xp),
+      time: Date.now()
+    };
+    if (quantity != null) Object.assign(completion, { quantity, target: quest.target, unit: quest.unit || '' });
+    this.healFor(completion);
+    this.questLog.completions.push(completion);
 
-    const s = this.questLog.timerState;
-    if (s.activeQuestId === id) { s.activeQuestId = null; s.startTime = null; }
     delete s.pausedSessions[id];
+    if (s.counts) delete s.counts[id];
 
     this.awardXP(xp);
     await this.commit();
-    new Notice(`✓ ${quest.name} completed! +${xp} XP`);
+    const progress = this.getPeriodProgress(quest);
+    const amount = quantity != null ? ` • ${quantity}/${quest.target}${quest.unit ? ` ${quest.unit}` : ''}` : '';
+    this.notifyUndoable(`✓ ${quest.name} completed! +${xp} XP${completion.goldEarned ? ` • +${completion.goldEarned} 🪙` : ''}${completion.hpHealed ? ` • +${completion.hpHealed} ❤️` : ''}${amount}${progress ? ` (${progress.done}/${progress.target} this ${progress.period})` : ''}`);
+    await this.checkAchievements();
+  }
+
+  /** Removes XP, dropping levels as needed (never below level 1 / 0 XP). */
+  removeXP(xp) {
+    const p = this.questLog.player;
+    p.xp -= xp;
+    while (p.xp < 0 && p.level > 1) {
+      p.level--;
+      p.xp += this.getXPForNextLevel(p.level);
+    }
+    if (p.xp < 0) p.xp = 0;
+    this.updateRibbonLabel();
   }
 
-  async uncompleteQuest(questId) {
-    const t = this.getTodayDateStr();
-    const idx = this.questLog.completions.findIndex((c) => c.questId === questId && c.date === t);
+  async uncompleteQuest(questId, date = null) {
+    const quest = this.questLog.quests.find((q) => q.id === questId);
+    const today = this.today;
+    let idx = this.questLog.completions.findLastIndex((c) => c.questId === questId && c.date === (date || today));
+    // A frequency quest shows as done for the rest of its period once the target is met: take back its latest completion
+    const rule = quest && parseSchedule(quest.schedule);
+    if (idx === -1 && !date && rule?.kind === 'frequency') {
+      const { start } = periodRange(rule.period, today);
+      idx = this.questLog.completions.findLastIndex((c) => c.questId === questId && c.date >= start && c.date <= today);
+    }
     if (idx === -1) return;
+    date = this.questLog.completions[idx].date;
+    const isToday = date === today;
+    this.recordHistory(`Uncomplete "${quest ? quest.name : 'quest'}"${isToday ? '' : ` on ${date}`}`);
 
     const completion = this.questLog.completions[idx];
     const xpLost = completion.xpEarned;
 
-    if (completion._snapshotTime && completion._snapshotTime > 0) {
+    // Today's timer and counter pick up where the completion left them
+    if (isToday && completion._snapshotTime && completion._snapshotTime > 0) {
       this.questLog.timerState.pausedSessions[questId] = completion._snapshotTime;
     }
+    if (isToday && completion.quantity > 0) (this.questLog.timerState.counts ||= {})[questId] = completion.quantity;
 
     this.questLog.completions.splice(idx, 1);
+    this.removeXP(xpLost);
+    if (completion.hpHealed) this.questLog.player.hp = Math.max(1, this.getHp() - completion.hpHealed);
+    // Gold that was already spent isn't clawed back from the ledger; the balance goes negative instead
+    const balance = this.getGoldBalance();
+    const debt = completion.goldEarned > 0 && balance < 0 ? `. Its gold was already spent: balance ${balance} 🪙` : '';
 
-    const p = this.questLog.player;
-    p.xp -= xpLost;
-    while (p.xp < 0 && p.level > 1) {
-      p.level--;
-      p.xp += this.getXPForNextLevel(p.level);
+    await this.commit();
+    this.notifyUndoable(`⟲ ${quest ? quest.name : 'Quest'} uncompleted${isToday ? '' : ` for ${date}`}. -${xpLost} XP${completion.goldEarned ? ` • -${completion.goldEarned} 🪙` : ''}${debt}`);
+  }
+
+  /* --- Manual time & back-dated completions --- */
+
+  /** Minutes tracked on a quest on `date`, from the session log plus the running timer today. */
+  getTrackedMinutesOn(questId, date) {
+    const s = this.questLog.timerState;
+    const live = date === this.today && s.activeQuestId === questId ? this.getActiveElapsedMinutes() : 0;
+    return this.questLog.sessions
+      .filter((x) => x.questId === questId && x.date === date)
+      .reduce((sum, x) => sum + x.minutes, live);
+  }
+
+  /** Minutes tracked per `questId|date`, built once for reports and views that look up many completions. */
+  getTrackedMinutesIndex() {
+    const index = new Map();
+    for (const x of this.questLog.sessions) index.set(`${x.questId}|${x.date}`, (index.get(`${x.questId}|${x.date}`) || 0) + x.minutes);
+    const s = this.questLog.timerState;
+    if (s.activeQuestId) {
+      const key = `${s.activeQuestId}|${this.today}`;
+      index.set(key, (index.get(key) || 0) + this.getActiveElapsedMinutes());
     }
-    if (p.xp < 0) p.xp = 0;
+    return index;
+  }
 
-    this.updateRibbonLabel();
+  /** Checks a date for manual edits. Returns an error message, or null if it's usable. */
+  validateEntryDate(date) {
+    if (!isDateStr(date)) return 'Pick a valid date.';
+    if (date > this.today) return "Can't log time or completions in the future.";
+    return null;
+  }
+
+  /**
+   * Sets the minutes tracked on a quest for a day. Time is added as a manual
+   * session or trimmed from the day's latest sessions; a completion on that day
+   * is re-scored so XP and level follow.
+   */
+  async setTrackedMinutes(questId, date, minutes) {
+    const quest = this.questLog.quests.find((q) => q.id === questId);
+    if (!quest) return void new Notice('❌ Quest not found');
+    const error = this.validateEntryDate(date);
+    if (error) return void new Notice(`❌ ${error}`);
+    if (!(Number.isFinite(minutes) && minutes >= 0 && minutes <= 24 * 60)) return void new Notice('❌ Minutes must be between 0 and 1440.');
+    const s = this.questLog.timerState;
+    if (date === this.today && s.activeQuestId === questId) return void new Notice("⏸ Pause the timer before editing today's time.");
+
+    const delta = minutes - this.getTrackedMinutesOn(questId, date);
+    if (Math.abs(delta) < 0.01) return;
+    this.recordHistory(`Edit time of "${quest.name}" on ${date}`);
+
+    if (delta > 0) {
+      this.questLog.sessions.push({ questId, date, start: null, end: null, minutes: delta, manual: true });
+    } else {
+      let remove = -delta;
+      for (let i = this.questLog.sessions.length - 1; i >= 0 && remove > 0; i--) {
+        const x = this.questLog.sessions[i];
+        if (x.questId !== questId || x.date !== date) continue;
+        const cut = Math.min(x.minutes, remove);
+        x.minutes -= cut;
+        if (x.end) x.end -= cut * 60000;
+        remove -= cut;
+      }
+      this.questLog.sessions = this.questLog.sessions.filter((x) => x.minutes > 0);
+    }
+
+    const completion = this.questLog.completions.findLast((c) => c.questId === questId && c.date === date);
+    if (completion) this.rescoreCompletion(quest, completion, minutes);
+    else if (date === this.today) this.rebuildPausedSessions();
+
+    await this.commit();
+    this.notifyUndoable(`✓ ${quest.name} on ${date}: ${formatTime(minutes)} tracked`);
+  }
+
+  /** Recomputes a completion's XP for new tracked time, keeping its streak and back-dating factors. */
+  rescoreCompletion(quest, completion, trackedMinutes) {
+    const prev = completion.xpBreakdown || {};
+    const next = computeXP(quest, {
+      trackedMinutes,
+      streak: prev.streakDays ?? 0,
+      quantity: completion.quantity ?? null,
+      backdate: prev.backdate ?? 1,
+    }, this.settings);
+    const delta = next.total - completion.xpEarned;
+    Object.assign(completion, { xpEarned: next.total, xpBreakdown: next, _snapshotTime: trackedMinutes });
+    // Completions from before gold existed stay without it
+    if (completion.goldEarned != null) completion.goldEarned = this.goldFor(next.total);
+    if (delta > 0) this.awardXP(delta);
+    else if (delta < 0) this.removeXP(-delta);
+  }
+
+  /** Marks a quest done on a past day. XP follows the back-dating rules in settings. */
+  async completeQuestOn(quest, date, quantity = null) {
+    if (date === this.today) return this.completeQuest(quest, quantity);
+    const error = this.validateEntryDate(date);
+    if (error) return void new Notice(`❌ ${error}`);
+    const maxDays = this.settings.backdateMaxDays;
+    if (maxDays > 0 && daysBetween(date, this.today) > maxDays) {
+      return void new Notice(`❌ Completions can be back-dated up to ${maxDays} day${maxDays === 1 ? '' : 's'}.`);
+    }
+    const progress = this.getPeriodProgress(quest, date);
+    if (progress ? progress.done >= progress.target : this.questLog.completions.some((c) => c.questId === quest.id && c.date === date)) {
+      return void new Notice(`Already completed on ${date}.`);
+    }
+    this.recordHistory(`Complete "${quest.name}" on ${date}`);
+
+    const tracked = this.getTrackedMinutesOn(quest.id, date);
+    const amount = quest.target > 0 ? (quantity > 0 ? Math.floor(quantity) : quest.target) : null;
+    const breakdown = computeXP(quest, {
+      trackedMinutes: tracked,
+      streak: this.getDayStreak(date),
+      quantity: amount,
+      backdate: clamp(this.settings.backdateXpPercent, 0, 100) / 100,
+    }, this.settings);
+
+    const completion = { questId: quest.id, date, xpEarned: breakdown.total, xpBreakdown: breakdown, _snapshotTime: tracked, estimateMinutes: quest.estimateMinutes || null, goldEarned: this.goldFor(breakdown.total), backdated: true };
+    if (amount != null) Object.assign(completion, { quantity: amount, target: quest.target, unit: quest.unit || '' });
+    this.questLog.completions.push(completion);
+
+    this.awardXP(breakdown.total);
     await this.commit();
-    const quest = this.questLog.quests.find((q) => q.id === questId);
-    new Notice(`⟲ ${quest ? quest.name : 'Quest'} uncompleted. -${xpLost} XP`);
+    this.notifyUndoable(`✓ ${quest.name} marked done for ${date}. +${breakdown.total} XP`);
+    await this.checkAchievements();
   }
 
   async activateView() {
@@ -588,12 +2653,22 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
     workspace.revealLeaf(leaf);
   }
 
+  async activateHeatmap() {
+    const { workspace } = this.app;
+    let leaf = workspace.getLeavesOfType(VIEW_TYPE_HEATMAP)[0];
+    if (!leaf) { leaf = workspace.getLeaf('tab'); await leaf.setViewState({ type: VIEW_TYPE_HEATMAP, active: true }); }
+    workspace.revealLeaf(leaf);
+  }
+
   refreshView() {
     for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_QUESTS)) {
       if (leaf.view instanceof QuestView) {
         if (leaf.view.editingId === null) leaf.view.render();
       }
     }
+    for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_HEATMAP)) {
+      if (leaf.view instanceof HeatmapView) leaf.view.render();
+    }
   }
 
   showConfirmDialog(title, message) {
@@ -603,6 +2678,7 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
   async resetAllData() {
     if (!(await this.showConfirmDialog('⚠️ Reset All Quest Data', 'This will clear all quests, completions, and reset level to 1. This cannot be undone!'))) return;
     this.initializeQuestLog();
+    this.clearHistory();
     await this.commit();
     this.updateRibbonLabel();
     new Notice('✓ All quest data has been reset!');
@@ -633,42 +2709,483 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
         imported.player;
 
       if (!valid) throw new Error('Invalid quest log schema');
+      // Repairs are reported once the import is accepted
+      const { repairs } = this.upgradeQuestLog(imported, 'the imported file', { quiet: true });
+      const repaired = repairs.length ? ` ${repairs.length} issue${repairs.length === 1 ? '' : 's'} in the file will be repaired.` : '';
 
-      if (!(await this.showConfirmDialog('⚠️ Import Quest Data', 'This will replace all current quest data. Continue?')))
+      if (!(await this.showConfirmDialog('⚠️ Import Quest Data', `This will replace all current quest data.${repaired} Continue?`)))
         return;
 
+      await this.checkActiveSession();
+      this.closeActiveSession();
+      this.recordHistory('Import data');
+      this.adoptCurrentDay(imported);
       this.questLog = imported;
+      this._categoryCache = null;
       await this.forceSave();
+      this.queueNoteSync();
       this.updateRibbonLabel();
       this.refreshView();
 
-      new Notice('✓ Quest data imported successfully!');
+      this.notifyUndoable('✓ Quest data imported successfully!');
+      this.notifyRepairs(repairs, 'the imported file');
     } catch (err) {
       console.error('Import error:', err);
       new Notice(`❌ Failed to import: ${err.message}`);
     }
   }
 
-  async generateReport() {
+  /* --- Gold & rewards --- */
+
+  goldFor(xp) { return Math.max(0, Math.round(xp * (this.settings.goldPerXp || 0))); }
+
+  /** Gold earned by completions minus gold spent on rewards. Negative after uncompleting a quest whose gold was spent. */
+  getGoldBalance() {
+    const earned = this.questLog.completions.reduce((sum, c) => sum + (c.goldEarned || 0), 0);
+    return earned - this.questLog.redemptions.reduce((sum, r) => sum + r.cost, 0);
+  }
+
+  async addReward(name, cost) {
+    name = String(name || '').trim();
+    cost = Math.floor(cost);
+    if (!name || !(cost >= 0)) return void new Notice('❌ A reward needs a name and a cost of 0 or more.');
+    this.recordHistory(`Add reward "${name}"`);
+    this.questLog.rewards.push({ id: genId(), name, cost });
+    await this.commit();
+    this.notifyUndoable(`🎁 Reward added: ${name} (${cost} 🪙)`);
+  }
+
+  async deleteReward(id) {
+    const reward = this.questLog.rewards.find((r) => r.id === id);
+    if (!reward) return;
+    this.recordHistory(`Delete reward "${reward.name}"`);
+    // The ledger keeps its own copy of the name and cost
+    this.questLog.rewards = this.questLog.rewards.filter((r) => r.id !== id);
+    await this.commit();
+    this.notifyUndoable(`✓ Reward deleted: ${reward.name}`);
+  }
+
+  async redeemReward(id) {
+    const reward = this.questLog.rewards.find((r) => r.id === id);
+    if (!reward) return;
+    const balance = this.getGoldBalance();
+    if (reward.cost > balance) return void new Notice(`❌ Not enough gold: ${reward.name} costs ${reward.cost} 🪙, you have ${balance} 🪙.`);
+    this.recordHistory(`Redeem "${reward.name}"`);
+    this.questLog.redemptions.push({ id: genId(), rewardId: reward.id, name: reward.name, cost: reward.cost, date: this.today, time: Date.now() });
+    await this.commit();
+    this.notifyUndoable(`🎁 Enjoy: ${reward.name}! -${reward.cost} 🪙`);
+  }
+
+  /** Refunds a redemption. Only possible on the day it was made; after that it is final. */
+  async unredeemReward(redemptionId) {
+    const redemption = this.questLog.redemptions.find((r) => r.id === redemptionId);
+    if (!redemption) return;
+    if (redemption.date !== this.today) return void new Notice('❌ Redemptions can only be refunded on the day they were made.');
+    this.recordHistory(`Refund "${redemption.name}"`);
+    this.questLog.redemptions = this.questLog.redemptions.filter((r) => r.id !== redemptionId);
+    await this.commit();
+    this.notifyUndoable(`⟲ Refunded ${redemption.name}. +${redemption.cost} 🪙`);
+  }
+
+  /* --- Penalties & rest days --- */
+
+  get hpMode() { return this.settings.penaltyEnabled && this.settings.penaltyMode === 'hp'; }
+
+  getMaxHp() { return Math.max(1, Math.floor(this.settings.maxHp) || DEFAULT_SETTINGS.maxHp); }
+
+  /** Current HP; a log that has never taken damage is at full health. */
+  getHp() { return Math.min(this.getMaxHp(), this.questLog.player.hp ?? this.getMaxHp()); }
+
+  isRestDay(date) { return this.questLog.restDays.includes(date); }
+
+  /** Heals a fresh completion in HP mode and records the amount so uncompleting can take it back. */
+  healFor(completion) {
+    if (!this.hpMode) return;
+    const before = this.getHp();
+    const healed = Math.min(this.getMaxHp() - before, Math.max(0, Math.floor(this.settings.hpPerCompletion) || 0));
+    if (healed <= 0) return;
+    this.questLog.player.hp = before + healed;
+    completion.hpHealed = healed;
+  }
+
+  /**
+   * Charges a finished day for the quests that were due and not done, adding
+   * to the rollover's running `total`. Rest days and days before the mode was
+   * turned on cost nothing. In HP mode running out of health costs a level
+   * and refills HP. Each day is judged once, whatever data is loaded later.
+   */
+  async penalizeDay(day, total) {
+    const { penaltyEnabled, penaltyMode, penaltiesSince, penaltiesCheckedThrough } = this.settings;
+    if (!penaltyEnabled || (penaltiesSince && day < penaltiesSince)) return;
+    if (penaltiesCheckedThrough && day <= penaltiesCheckedThrough) return;
+    this.settings.penaltiesCheckedThrough = day;
+    await this.saveSettings();
+    if (this.isRestDay(day)) { total.rest++; return; }
+    const p = this.questLog.player;
+    const hpEach = Math.max(0, Math.floor(this.settings.penaltyHp) || 0);
+    const xpEach = Math.max(0, Math.floor(this.settings.penaltyXp) || 0);
+
+    for (const q of this.calculateAdherence({ start: day, end: day }).byQuest) {
+      const missed = q.scheduled - q.done;
+      if (missed <= 0) continue;
+      const entry = { date: day, questId: q.id, missed, hp: 0, xp: 0 };
+      if (penaltyMode === 'hp') {
+        entry.hp = missed * hpEach;
+        p.hp = this.getHp() - entry.hp;
+      } else {
+        entry.xp = missed * xpEach;
+        this.removeXP(entry.xp);
+      }
+      this.questLog.penalties.push(entry);
+      total.missed += missed;
+      total.hp += entry.hp;
+      total.xp += entry.xp;
+      if (p.hp <= 0) {
+        // Knocked out: drop a level, lose its progress and start again at full health
+        total.knockouts++;
+        p.level = Math.max(1, p.level - 1);
+        p.xp = 0;
+        p.hp = this.getMaxHp();
+        this.questLog.penalties.push({ date: day, knockout: true });
+      }
+    }
+    this.updateRibbonLabel();
+  }
+
+  /** One notice for everything a rollover charged, however many days it covered. */
+  notifyPenalties(total) {
+    if (total.knockouts) new Notice(`💀 Knocked out${total.knockouts > 1 ? ` ${total.knockouts}×` : ''}! You lost a level and wake up at full health (Lv${this.questLog.player.level}).`, 10000);
+    if (total.missed) {
+      const cost = this.settings.penaltyMode === 'hp' ? `-${total.hp} HP` : `-${total.xp} XP`;
+      new Notice(`💔 ${total.missed} missed quest${total.missed === 1 ? '' : 's'}: ${cost}${total.rest ? ` (${total.rest} rest day${total.rest === 1 ? '' : 's'} skipped)` : ''}`, 8000);
+    }
+  }
+
+  async setRestDay(date, rest) {
+    if (rest === this.isRestDay(date)) return;
+    this.recordHistory(`${rest ? 'Mark' : 'Unmark'} ${date} as a rest day`);
+    const days = this.questLog.restDays.filter((d) => d !== date);
+    if (rest) days.push(date);
+    this.questLog.restDays = days.sort();
+    await this.commit();
+    this.notifyUndoable(rest ? `🏖️ ${date === this.today ? 'Today' : date} is a rest day. No penalties.` : `✓ ${date === this.today ? 'Today' : date} is a regular day again.`);
+  }
+
+  /** Marks every day from `from` to `to` as a rest day. */
+  async addVacation(from, to) {
+    if (!isDateStr(from) || !isDateStr(to) || to < from) return void new Notice('❌ Pick a start date and an end date on or after it.');
+    this.recordHistory(`Vacation ${from} – ${to}`);
+    const days = new Set(this.questLog.restDays);
+    let added = 0;
+    for (let d = from; d <= to; d = shiftDate(d, 1)) if (!days.has(d)) { days.add(d); added++; }
+    this.questLog.restDays = [...days].sort();
+    await this.commit();
+    this.notifyUndoable(`🏖️ Vacation ${from} – ${to}: ${added} rest day${added === 1 ? '' : 's'} added.`);
+  }
+
+  /* --- Achievements --- */
+
+  /** `{ achievementId: unlock date }` for every rule whose threshold the history reaches. */
+  computeAchievements({ rollover = true, skip = {} } = {}) {
+    const unlocked = {};
+    for (const rule of ACHIEVEMENTS) {
+      if (skip[rule.id] || (rule.onRollover && !rollover)) continue;
+      const date = ACHIEVEMENT_METRICS[rule.metric](this, rule.threshold);
+      if (date) unlocked[rule.id] = date;
+    }
+    return unlocked;
+  }
+
+  /**
+   * Unlocks achievements reached since the last check, with a Notice each.
+   * Unlocked achievements stay unlocked; a log without any (new or cleared)
+   * is rebuilt from history silently.
+   */
+  async checkAchievements({ rollover = false } = {}) {
+    if (!isPlainObject(this.questLog.achievements)) return this.rebuildAchievements({ notify: false });
+    const unlocked = this.computeAchievements({ rollover, skip: this.questLog.achievements });
+    const rules = ACHIEVEMENTS.filter((rule) => unlocked[rule.id]);
+    if (!rules.length) return;
+    Object.assign(this.questLog.achievements, unlocked);
+    await this.commit();
+    for (const rule of rules) new Notice(`🏆 Achievement unlocked: ${rule.icon} ${rule.name} — ${rule.description}`, 5000);
+  }
+
+  /** Recomputes every unlock (and its date) from history, dropping those the history no longer supports. */
+  async rebuildAchievements({ notify = true } = {}) {
+    this.questLog.achievements = this.computeAchievements();
+    await this.commit();
+    const count = Object.keys(this.questLog.achievements).length;
+    if (notify) new Notice(`🏆 Achievements rebuilt: ${count} of ${ACHIEVEMENTS.length} unlocked`);
+  }
+
+  /* --- Estimates --- */
+
+  /**
+   * Tracked minutes and the estimate at the time for each completion of a quest
+   * with time tracked, oldest first. Pass a shared `tracked` index when calling per quest.
+   */
+  getActualDurations(questId, tracked = this.getTrackedMinutesIndex()) {
+    const quest = this.questLog.quests.find((q) => q.id === questId);
+    return this.questLog.completions
+      .filter((c) => c.questId === questId)
+      .map((c) => ({
+        date: c.date,
+        actual: c._snapshotTime || tracked.get(`${questId}|${c.date}`) || 0,
+        // Completions from before estimates were recorded fall back to the current one
+        estimate: c.estimateMinutes !== undefined ? c.estimateMinutes : quest?.estimateMinutes || null,
+      }))
+      .filter((d) => d.actual > 0)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Estimate suggested by the median of the quest's recent tracked durations,
+   * rounded to 5 minutes (1 minute below 10). Null with too few samples or when
+   * it matches the current estimate.
+   */
+  suggestEstimate(quest, tracked) {
+    const recent = this.getActualDurations(quest.id, tracked).slice(-ESTIMATE_SAMPLE_SIZE).map((d) => d.actual).sort((a, b) => a - b);
+    if (recent.length < ESTIMATE_MIN_SAMPLES) return null;
+    const mid = Math.floor(recent.length / 2);
+    const median = recent.length % 2 ? recent[mid] : (recent[mid - 1] + recent[mid]) / 2;
+    const minutes = median < 10 ? Math.max(1, Math.round(median)) : Math.round(median / 5) * 5;
+    return minutes === quest.estimateMinutes ? null : { minutes, median, samples: recent.length };
+  }
+
+  /**
+   * Estimated vs tracked time for completions from `start` to `end` that have
+   * both, per quest, per category and per week.
+   */
+  calculateEstimateAccuracy({ start, end, filter = '' }) {
+    const matches = questFilter(filter, this.questLog.quests);
+    const tally = () => ({ samples: 0, estimate: 0, actual: 0, overtime: 0, ratios: [] });
+    const add = (t, d) => {
+      t.samples++;
+      t.estimate += d.estimate;
+      t.actual += d.actual;
+      if (d.actual > d.estimate) t.overtime++;
+      t.ratios.push(d.actual / d.estimate);
+    };
+    const summarize = (t) => ({
+      samples: t.samples,
+      avgEstimate: t.estimate / t.samples,
+      avgActual: t.actual / t.samples,
+      ratio: Math.round((t.actual / t.estimate) * 100),
+      overtimeRate: Math.round((t.overtime / t.samples) * 100),
+    });
+    // Compares the first and second half of the samples; a shift of 10 points or more is a trend
+    const trend = (ratios) => {
+      if (ratios.length < 4) return '—';
+      const half = Math.floor(ratios.length / 2);
+      const avg = (xs) => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+      const delta = avg(ratios.slice(-half)) - avg(ratios.slice(0, half));
+      return delta >= 0.1 ? '↗ slower' : delta <= -0.1 ? '↘ faster' : '→ steady';
+    };
+
+    const tracked = this.getTrackedMinutesIndex();
+    const overall = tally(), byQuest = {}, byCategory = {}, byWeek = {};
+    for (const quest of this.questLog.quests) {
+      if (!matches(quest.id)) continue;
+      for (const d of this.getActualDurations(quest.id, tracked)) {
+        if (d.date < start || d.date > end || !(d.estimate > 0)) continue;
+        for (const t of [overall, (byQuest[quest.id] ||= tally()), (byCategory[quest.category || 'uncategorized'] ||= tally()), (byWeek[weekStart(d.date)] ||= tally())]) add(t, d);
+      }
+    }
+
+    return {
+      ...(overall.samples ? summarize(overall) : { samples: 0 }),
+      byQuest: this.questLog.quests.filter((q) => byQuest[q.id])
+        .map((q) => ({ id: q.id, name: q.name, ...summarize(byQuest[q.id]), trend: trend(byQuest[q.id].ratios), suggestion: this.suggestEstimate(q, tracked) }))
+        .sort((a, b) => b.ratio - a.ratio),
+      byCategory: Object.entries(byCategory)
+        .map(([category, t]) => ({ category, ...summarize(t), trend: trend(t.ratios) }))
+        .sort((a, b) => b.ratio - a.ratio),
+      byWeek: Object.keys(byWeek).sort().map((date) => ({ date, ...summarize(byWeek[date]) })),
+    };
+  }
+
+  /* --- Reports --- */
+
+  /** Output path for a report, from the path pattern in settings. */
+  getReportPath(range, filter = '') {
+    const quests = this.questLog.quests;
+    const filterName = filter ? safeFileName(describeQuestFilter(filter, quests).replace(/^\w+: /, '')) : 'all';
+    let path = normalizePath(renderTemplate(this.settings.reportPath || DEFAULT_SETTINGS.reportPath, {
+      period: range.key, start: range.start, end: range.end, date: this.today, filter: filterName,
+    }));
+    if (!path.endsWith('.md')) path += '.md';
+    return path;
+  }
+
+  /** The template note's content, or the built-in template when none is set (or it is missing). */
+  async loadReportTemplate() {
+    const path = this.settings.reportTemplatePath.trim();
+    if (!path) return DEFAULT_REPORT_TEMPLATE;
+    const file = this.app.vault.getAbstractFileByPath(normalizePath(path));
+    if (file instanceof TFile) return this.app.vault.read(file);
+    new Notice(`⚠️ Report template "${path}" not found; using the default template.`);
+    return DEFAULT_REPORT_TEMPLATE;
+  }
+
+  /** Writes the built-in template to the template path so it can be edited. */
+  async createReportTemplate() {
+    if (!this.settings.reportTemplatePath.trim()) {
+      this.settings.reportTemplatePath = 'Quest Report Template.md';
+      await this.saveSettings();
+    }
+    const path = normalizePath(this.settings.reportTemplatePath);
+    let file = this.app.vault.getAbstractFileByPath(path);
+    if (!(file instanceof TFile)) {
+      const folder = path.split('/').slice(0, -1).join('/');
+      if (folder && !this.app.vault.getAbstractFileByPath(folder)) await this.app.vault.createFolder(folder);
+      file = await this.app.vault.create(path, DEFAULT_REPORT_TEMPLATE);
+      new Notice(`✓ Report template created: ${path}`);
+    }
+    await this.app.workspace.getLeaf(false).openFile(file);
+  }
+
+  /**
+   * Builds a report for `period` ('week', 'month', 'year' containing `from`, or
+   * 'custom' from `from` to `to`), limited to `filter`, and writes it to the
+   * configured path. Returns the path, or null on failure.
+   */
+  async generateReport({ period = 'month', from = this.today, to = from, filter = '', open = true } = {}) {
     new Notice('📊 Generating quest report...');
     try {
-      const stats = await this.calculateStats();
-      const reportContent = this.buildReportMarkdown(stats);
-      const reportPath = 'Quest-Report.md';
+      const range = reportRange(period, from, to);
+      const stats = await this.calculateStats({ start: range.start, end: range.end, filter });
+      const reportContent = this.buildReportMarkdown(stats, range, await this.loadReportTemplate());
+      const reportPath = this.getReportPath(range, filter);
       const existingFile = this.app.vault.getAbstractFileByPath(reportPath);
       if (existingFile instanceof TFile) await this.app.vault.modify(existingFile, reportContent);
-      else await this.app.vault.create(reportPath, reportContent);
+      else {
+        const folder = reportPath.split('/').slice(0, -1).join('/');
+        if (folder && !this.app.vault.getAbstractFileByPath(folder)) await this.app.vault.createFolder(folder);
+        await this.app.vault.create(reportPath, reportContent);
+      }
       new Notice(`✓ Report generated: ${reportPath}`);
       const file = this.app.vault.getAbstractFileByPath(reportPath);
-      if (file instanceof TFile) { const leaf = this.app.workspace.getLeaf(false); await leaf.openFile(file); }
+      if (open && file instanceof TFile) { const leaf = this.app.workspace.getLeaf(false); await leaf.openFile(file); }
+      return reportPath;
     } catch (err) {
       console.error('Report generation error:', err);
       new Notice('❌ Failed to generate report. Check console for details.');
+      return null;
+    }
+  }
+
+  /**
+   * Writes the automatic weekly/monthly report when the rollover from `fromDay`
+   * to `toDay` crosses into a new period. The report covers the period just
+   * before the new one, also when Obsidian was closed across the boundary; the
+   * last period written is kept in settings, so restores, undo and other
+   * devices never generate it twice.
+   */
+  async runAutoReports(fromDay, toDay) {
+    const enabled = { week: this.settings.autoReportWeekly, month: this.settings.autoReportMonthly };
+    for (const period of ['week', 'month']) {
+      if (!enabled[period]) continue;
+      const current = periodRange(period, toDay).start;
+      if (fromDay >= current) continue;
+      const closed = reportRange(period, shiftDate(current, -1));
+      const last = this.settings.lastAutoReports?.[period];
+      if (last && last >= closed.key) continue;
+      if (!(await this.generateReport({ period, from: closed.start, open: false }))) continue;
+      this.settings.lastAutoReports = { ...this.settings.lastAutoReports, [period]: closed.key };
+      await this.saveSettings();
+    }
+  }
+
+  /**
+   * Scheduled vs completed quests from `start` to `end` (today is left out, as
+   * it isn't over yet), per quest, category and weekday. Each day is judged by
+   * the schedule the quest had then. Frequency quests ("3x per week") count
+   * once per finished period, as their target against completions up to it,
+   * so they have no weekday breakdown.
+   */
+  calculateAdherence({ start, end, filter = '' }) {
+    const matches = questFilter(filter, this.questLog.quests);
+    const yesterday = shiftDate(this.getTodayDateStr(), -1);
+    const last = end < yesterday ? end : yesterday;
+    const done = new Set(this.questLog.completions.map((c) => `${c.questId}|${c.date}`));
+    const tally = () => ({ scheduled: 0, done: 0 });
+    const overall = tally(), byQuest = {}, byCategory = {};
+    const byWeekday = Object.fromEntries(MON_FIRST_ORDER.map((d) => [d, tally()]));
+    const add = (quest, scheduled, completed, day = null) => {
+      const cat = quest.category || 'uncategorized';
+      for (const t of [overall, (byQuest[quest.id] ||= tally()), (byCategory[cat] ||= tally()), day && byWeekday[day]]) {
+        if (!t) continue;
+        t.scheduled += scheduled;
+        t.done += completed;
+      }
+    };
+
+    for (const quest of this.questLog.quests) {
+      if (!matches(quest.id)) continue;
+      for (let d = start; d <= last; d = shiftDate(d, 1)) {
+        const state = questStateOn(quest, d);
+        if (!state || state.archived) continue;
+        const rule = parseSchedule(state.schedule);
+        if (rule.kind === 'frequency') {
+          // Judged on the last day of each period, once the period is over
+          const { start: from, end: periodEnd } = periodRange(rule.period, d);
+          if (periodEnd !== d || (quest.createdAt && quest.createdAt > from)) continue;
+          const count = this.questLog.completions.filter((c) => c.questId === quest.id && c.date >= from && c.date <= d).length;
+          add(quest, rule.target, Math.min(count, rule.target));
+        } else if (this.wasScheduledOn(quest, d)) {
+          add(quest, 1, done.has(`${quest.id}|${d}`) ? 1 : 0, DAY_KEYS[new Date(d).getUTCDay()]);
+        }
+      }
+    }
+
+    const rate = (t) => (t.scheduled > 0 ? Math.round((t.done / t.scheduled) * 100) : null);
+    const qById = new Map(this.questLog.quests.map((q) => [q.id, q]));
+    const perQuest = Object.entries(byQuest)
+      .map(([id, t]) => ({ id, name: qById.get(id).name, category: qById.get(id).category || 'uncategorized', ...t, rate: rate(t) }))
+      .sort((a, b) => b.rate - a.rate || b.scheduled - a.scheduled);
+    return {
+      start,
+      end: last,
+      ...overall,
+      rate: rate(overall),
+      byQuest: perQuest,
+      byCategory: Object.entries(byCategory).map(([category, t]) => ({ category, ...t, rate: rate(t) })).sort((a, b) => b.rate - a.rate),
+      byWeekday: MON_FIRST_ORDER.map((day) => ({ day, ...byWeekday[day], rate: rate(byWeekday[day]) })),
+      // Quests that were due at least 3 times and missed at least once
+      worst: perQuest.filter((q) => q.scheduled >= 3 && q.done < q.scheduled).sort((a, b) => a.rate - b.rate).slice(0, 5),
+    };
+  }
+
+  /** Penalty ledger totals from `start` to `end`. Knockouts and rest days aren't tied to quests, so they ignore the filter. */
+  summarizePenalties({ start, end, filter = '' }) {
+    const matches = questFilter(filter, this.questLog.quests);
+    const inRange = this.questLog.penalties.filter((x) => x.date >= start && x.date <= end);
+    const qName = Object.fromEntries(this.questLog.quests.map((q) => [q.id, q.name]));
+    const total = { missed: 0, hp: 0, xp: 0 }, byQuest = {};
+    for (const x of inRange) {
+      if (x.knockout || !matches(x.questId)) continue;
+      const q = (byQuest[x.questId] ||= { name: qName[x.questId] || 'Deleted quest', missed: 0, hp: 0, xp: 0 });
+      for (const t of [total, q]) {
+        t.missed += x.missed;
+        t.hp += x.hp;
+        t.xp += x.xp;
+      }
     }
+    return {
+      ...total,
+      knockouts: inRange.filter((x) => x.knockout).length,
+      restDays: this.questLog.restDays.filter((d) => d >= start && d <= end).length,
+      byQuest: Object.values(byQuest).sort((a, b) => b.missed - a.missed),
+    };
   }
 
-  async calculateStats() {
-    const { completions, player, quests } = this.questLog;
+  /** Stats over completions, sessions and pomodoros from `start` to `end` that match `filter`. */
+  async calculateStats({ start, end, filter = '' }) {
+    const { player, quests } = this.questLog;
+    const matches = questFilter(filter, quests);
+    const inRange = (x) => x.date >= start && x.date <= end && matches(x.questId);
+    const completions = this.questLog.completions.filter(inRange);
     const qName = Object.fromEntries(quests.map((q) => [q.id, q.name]));
     const qCategory = Object.fromEntries(quests.map((q) => [q.id, q.category || 'uncategorized']));
 
@@ -690,41 +3207,64 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
       bc.count++;
       bc.xp += c.xpEarned;
 
+      if (c.quantity != null) {
+        const bn = (acc.byQuantity[c.questId] ||= { count: 0, total: 0, hits: 0, unit: c.unit || '' });
+        bn.count++;
+        bn.total += c.quantity;
+        if (c.quantity >= c.target) bn.hits++;
+      }
+
       return acc;
-    }, { totalXP: 0, byDate: {}, byQuest: {}, byCategory: {} });
+    }, { totalXP: 0, byDate: {}, byQuest: {}, byCategory: {}, byQuantity: {} });
+
+    // Time spent comes from the session log, not from completions
+    const time = (this.questLog.sessions || []).filter(inRange).reduce((acc, s) => {
+      const mins = s.minutes || 0;
+      acc.total += mins;
+      acc.byDate[s.date] = (acc.byDate[s.date] || 0) + mins;
+      acc.byQuest[s.questId] = (acc.byQuest[s.questId] || 0) + mins;
+      const cat = qCategory[s.questId] || 'uncategorized';
+      acc.byCategory[cat] = (acc.byCategory[cat] || 0) + mins;
+      return acc;
+    }, { total: 0, byDate: {}, byQuest: {}, byCategory: {} });
+
+    const pomodoros = this.questLog.pomodoros.filter(inRange);
+    const pomodorosByQuest = {};
+    for (const x of pomodoros) pomodorosByQuest[x.questId] = (pomodorosByQuest[x.questId] || 0) + 1;
 
-    // Use UTC date for stats calculation
+    // Days of the range that have happened so far
     const todayKey = this.getTodayDateStr();
-    const [y, m, d] = todayKey.split('-').map(Number);
-    const anchor = new Date(Date.UTC(y, m - 1, d));
-
-    const last30Days = Array.from({ length: 30 }, (_, i) => {
-      const day = new Date(anchor);
-      day.setUTCDate(day.getUTCDate() - (29 - i));
-      // reconstruct YYYY-MM-DD manually from UTC parts
-      const dStr = `${day.getUTCFullYear()}-${String(day.getUTCMonth()+1).padStart(2,'0')}-${String(day.getUTCDate()).padStart(2,'0')}`;
-      const x = totals.byDate[dStr] || { count: 0, xp: 0 };
-      return { date: dStr, ...x };
-    });
+    const last = end < todayKey ? end : todayKey;
+    const days = [];
+    for (let date = start; date <= last; date = shiftDate(date, 1)) {
+      days.push({ date, count: 0, xp: 0, ...totals.byDate[date], minutes: time.byDate[date] || 0 });
+    }
 
-    const last7Days = last30Days.slice(-7);
+    // Longer ranges are charted and tabled per week
+    const timeline = days.length <= 31 ? days : Object.values(days.reduce((acc, d) => {
+      const w = (acc[weekStart(d.date)] ||= { date: weekStart(d.date), count: 0, xp: 0, minutes: 0 });
+      w.count += d.count;
+      w.xp += d.xp;
+      w.minutes += d.minutes;
+      return acc;
+    }, {}));
 
-    // Streak calculation
+    // Streaks over all matching history up to the end of the range
+    const activeDates = new Set(this.questLog.completions.filter((c) => c.date <= last && matches(c.questId)).map((c) => c.date));
     let currentStreak = 0;
     let maxStreak = 0;
-    let tempStreak = 0;
+    const firstDate = [...activeDates].sort()[0];
 
-    for (let i = last30Days.length - 1; i >= 0; i--) {
-      if (last30Days[i].count > 0) {
-        tempStreak++;
-        if (i === last30Days.length - 1) currentStreak = tempStreak;
-        maxStreak = Math.max(maxStreak, tempStreak);
-      } else {
-        if (i === last30Days.length - 1) currentStreak = 0;
-        tempStreak = 0;
-      }
+    for (let day = firstDate; day && day <= last; day = shiftDate(day, 1)) {
+      currentStreak = activeDates.has(day) ? currentStreak + 1 : 0;
+      maxStreak = Math.max(maxStreak, currentStreak);
     }
 
+    const questStreaks = quests
+      .filter((q) => !q.archived && matches(q.id))
+      .map((q) => ({ id: q.id, name: q.name, schedule: q.schedule || 'daily', ...this.getQuestStreak(q, last) }))
+      .sort((a, b) => b.current - a.current || b.best - a.best);
+
     const topQuests = Object.entries(totals.byQuest)
       .sort((a, b) => b[1].count - a[1].count)
       .slice(0, 10)
@@ -732,118 +3272,276 @@ module.exports = class DailyQuestLogPlugin extends Plugin {
         id,
         name: qName[id] || id,
         category: qCategory[id] || 'uncategorized',
-        ...data
+        ...data,
+        minutes: time.byQuest[id] || 0
+      }));
+
+    const timeByQuest = Object.entries(time.byQuest)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([id, minutes]) => ({
+        id,
+        name: qName[id] || id,
+        category: qCategory[id] || 'uncategorized',
+        count: totals.byQuest[id]?.count || 0,
+        minutes,
+        pomodoros: pomodorosByQuest[id] || 0
       }));
 
-    const categoryStats = Object.entries(totals.byCategory)
-      .map(([cat, data]) => ({ category: cat, ...data }))
+    const quantityStats = Object.entries(totals.byQuantity)
+      .map(([id, data]) => ({
+        id,
+        name: qName[id] || id,
+        ...data,
+        average: data.total / data.count,
+        hitRate: Math.round((data.hits / data.count) * 100)
+      }))
       .sort((a, b) => b.count - a.count);
 
-    const activeDays = last30Days.filter(d => d.count > 0).length;
+    const categoryStats = [...new Set([...Object.keys(totals.byCategory), ...Object.keys(time.byCategory)])]
+      .map((cat) => ({ category: cat, count: 0, xp: 0, ...totals.byCategory[cat], minutes: time.byCategory[cat] || 0 }))
+      .sort((a, b) => b.count - a.count || b.minutes - a.minutes);
+
+    const activeDays = days.filter(d => d.count > 0).length;
     const avgDailyXP = activeDays > 0 ? Math.round(totals.totalXP / activeDays) : 0;
 
-    const peakDay = last30Days.reduce((max, day) =>
+    const peakDay = days.reduce((max, day) =>
       day.xp > max.xp ? day : max, { date: 'N/A', xp: 0, count: 0 });
 
     return {
       player,
+      filter,
+      adherence: this.calculateAdherence({ start, end, filter }),
+      estimates: this.calculateEstimateAccuracy({ start, end, filter }),
+      gold: {
+        balance: this.getGoldBalance(),
+        earned: completions.reduce((sum, c) => sum + (c.goldEarned || 0), 0),
+        // Spending isn't tied to quests, so it ignores the filter
+        redemptions: this.questLog.redemptions.filter((r) => r.date >= start && r.date <= end).sort(compareByDate),
+      },
+      penalties: this.summarizePenalties({ start, end, filter }),
       totalCompleted,
       totalXP: totals.totalXP,
-      last30Days,
-      last7Days,
+      totalMinutes: time.total,
+      totalPomodoros: pomodoros.length,
+      days,
+      timeline,
       topQuests,
+      timeByQuest,
+      quantityStats,
       categoryStats,
       currentStreak,
       maxStreak,
+      questStreaks,
       activeDays,
       avgDailyXP,
       peakDay
     };
   }
 
-  buildReportMarkdown(stats) {
-    const now = this.getTodayDateStr();
+  /** Fills `template` (see DEFAULT_REPORT_TEMPLATE) with the report sections for `stats`. */
+  buildReportMarkdown(stats, range, template = DEFAULT_REPORT_TEMPLATE) {
     const rank = RANK_FOR(stats.player.level);
     const xpForNext = this.getXPForNextLevel(stats.player.level);
     const xpProgress = Math.round((stats.player.xp / xpForNext) * 100);
-
-    return `# 📊 Quest Analytics Report
-*Generated: ${now} (UTC)*
-
----
-
-## 🏆 Player Profile
+    const weekly = stats.timeline !== stats.days;
+    const dayCount = stats.days.length;
+    const { adherence, estimates } = stats;
+    const unlocked = this.questLog.achievements || {};
+    const earned = ACHIEVEMENTS.filter((a) => unlocked[a.id]).sort((a, b) => unlocked[a.id].localeCompare(unlocked[b.id]));
+    const locked = ACHIEVEMENTS.filter((a) => !unlocked[a.id]);
+    const isNew = (a) => unlocked[a.id] >= range.start && unlocked[a.id] <= range.end;
+    const noData = (text) => `---\nconfig:\n    theme: dark\n---\npie title No Data\n    "${text}" : 100`;
+
+    const sections = {
+      profile: `## 🏆 Player Profile
 
 > **${rank.icon} ${rank.name}** — Level **${stats.player.level}** (**${xpProgress}%** to next level)
 
 | Metric | Value |
 |--------|-------|
 | 💎 Current XP | **${stats.player.xp}** / ${xpForNext} |
-| ⭐ Lifetime XP | **${stats.totalXP.toLocaleString()}** |
-| ✅ Total Completions | **${stats.totalCompleted}** quests |
+| ⭐ XP Earned | **${stats.totalXP.toLocaleString()}** |
+| ✅ Completions | **${stats.totalCompleted}** quests |
+| ⏱️ Time Tracked | **${formatTime(stats.totalMinutes)}** |
+| 🍅 Pomodoros | **${stats.totalPomodoros}** |
 | 🔥 Current Streak | **${stats.currentStreak}** days |
-| 🏅 Best Streak | **${stats.maxStreak}** days |
+| 🏅 Best Streak | **${stats.maxStreak}** days |`,
 
----
+      topQuests: `### Top 10 Quests by Completion
 
-## 🎯 Quest Performance
+\`\`\`mermaid
+${stats.topQuests.length > 0 ? this.generateTopQuestsChart(stats.topQuests) : noData('No completions yet')}
+\`\`\``,
 
-### Top 10 Quests by Completion
+      timeByQuest: `### Time Spent by Quest
 
-\`\`\`mermaid
-${stats.topQuests.length > 0 ? this.generateTopQuestsChart(stats.topQuests) : '---\nconfig:\n    theme: dark\n---\npie title No Data\n    "No completions yet" : 100'}
-\`\`\`
+${stats.timeByQuest.length > 0 ? `| Quest | Category | Time Tracked | Pomodoros | Completions | Avg Time/Completion |
+|-------|----------|--------------|-----------|-------------|---------------------|
+${stats.timeByQuest.map(q => {
+      const avg = q.count > 0 ? formatTime(q.minutes / q.count) : '—';
+      return `| ${q.name} | ${q.category} | ${formatTime(q.minutes)} | ${q.pomodoros} | ${q.count} | ${avg} |`;
+    }).join('\n')}` : '*No tracked time yet.*'}`,
 
----
+      quantity: `### Quantity Quests
 
-## 📊 Category Analysis
+${stats.quantityStats.length > 0 ? `| Quest | Completions | Total Logged | Avg per Completion | Target Hit Rate |
+|-------|-------------|--------------|--------------------|-----------------|
+${stats.quantityStats.map(q => {
+      const unit = q.unit ? ` ${q.unit}` : '';
+      return `| ${q.name} | ${q.count} | ${q.total}${unit} | ${Math.round(q.average * 10) / 10}${unit} | ${q.hitRate}% |`;
+    }).join('\n')}` : '*No quantity quests completed yet.*'}`,
 
-### Completion Distribution
+      streaks: `### Quest Streaks
+
+${stats.questStreaks.length > 0 ? `| Quest | Schedule | Streak at End | Best Streak |
+|-------|----------|---------------|-------------|
+${stats.questStreaks.map(q => `| ${q.name} | ${q.schedule} | ${q.current} | ${q.best} |`).join('\n')}
+
+*Streaks count scheduled days only, up to the end of the period.*` : '*No active quests.*'}`,
+
+      categoryChart: `### Completion Distribution
 
 \`\`\`mermaid
-${stats.categoryStats.length > 0 ? this.generateCategoryPieChart(stats.categoryStats) : '---\nconfig:\n    theme: dark\n---\npie title No Data\n    "No categories yet" : 100'}
-\`\`\`
+${stats.categoryStats.some(c => c.count > 0) ? this.generateCategoryPieChart(stats.categoryStats) : noData('No categories yet')}
+\`\`\``,
 
-### Category Performance Matrix
+      categoryTable: `### Category Performance Matrix
 
-| Category | Completions | Total XP | Avg XP/Quest |
-|----------|-------------|----------|--------------|
+| Category | Completions | Total XP | Avg XP/Quest | Time Tracked |
+|----------|-------------|----------|--------------|--------------|
 ${stats.categoryStats.slice(0, 10).map(cat => {
       const avgXP = cat.count > 0 ? Math.round(cat.xp / cat.count) : 0;
-      return `| ${cat.category} | ${cat.count} | ${cat.xp} | ${avgXP} |`;
-    }).join('\n')}
+      return `| ${cat.category} | ${cat.count} | ${cat.xp} | ${avgXP} | ${formatTime(cat.minutes)} |`;
+    }).join('\n')}`,
 
----
-
-## 📅 Weekly Summary
+      summary: `## 📅 Period Summary
 
 | Metric | Value |
 |--------|-------|
-| 📊 Active Days | ${stats.activeDays} / 30 days |
+| 📊 Active Days | ${stats.activeDays} / ${dayCount} days |
 | 📈 Avg Daily XP | **${stats.avgDailyXP}** XP |
 | 🔝 Peak Day | ${stats.peakDay.xp > 0 ? `${stats.peakDay.date} (**${stats.peakDay.xp}** XP, ${stats.peakDay.count} quests)` : 'No activity'} |
-| 📉 Completion Rate | **${Math.round((stats.activeDays / 30) * 100)}%** |
+| 📉 Completion Rate | ${adherence.rate == null ? 'Nothing scheduled' : `**${adherence.rate}%** (${adherence.done} of ${adherence.scheduled} scheduled)`} |`,
 
----
+      adherence: `## 🎯 Adherence
 
-## 📈 Last 7 Days XP Earned
+${adherence.scheduled > 0 ? `*Scheduled quests completed from ${adherence.start} to ${adherence.end}, judged by the schedule each quest had on the day. Frequency quests count once per finished week or month.*
 
-\`\`\`mermaid
-${this.generateWeeklyXPChart(stats.last7Days)}
-\`\`\`
+### Needs Attention
 
----
+${adherence.worst.length > 0 ? `| Quest | Completed | Scheduled | Adherence |
+|-------|-----------|-----------|-----------|
+${adherence.worst.map(q => `| ${q.name} | ${q.done} | ${q.scheduled} | ${q.rate}% |`).join('\n')}` : '*No quest was missed more than a couple of times.*'}
+
+### By Quest
+
+| Quest | Category | Completed | Scheduled | Adherence |
+|-------|----------|-----------|-----------|-----------|
+${adherence.byQuest.map(q => `| ${q.name} | ${q.category} | ${q.done} | ${q.scheduled} | ${q.rate}% |`).join('\n')}
+
+### By Category
+
+| Category | Completed | Scheduled | Adherence |
+|----------|-----------|-----------|-----------|
+${adherence.byCategory.map(c => `| ${c.category} | ${c.done} | ${c.scheduled} | ${c.rate}% |`).join('\n')}
+
+### By Weekday
+
+| Weekday | Completed | Scheduled | Adherence |
+|---------|-----------|-----------|-----------|
+${adherence.byWeekday.map(d => `| ${d.day[0].toUpperCase()}${d.day.slice(1)} | ${d.done} | ${d.scheduled} | ${d.rate == null ? '—' : `${d.rate}%`} |`).join('\n')}` : '*No quests were scheduled in this period yet.*'}`,
+
+      estimates: `## ⏳ Estimate Accuracy
+
+${estimates.samples > 0 ? `*Tracked time against the estimate, for completions that have both: **${estimates.ratio}%** of the estimate on average, over it **${estimates.overtimeRate}%** of the time. Trends compare the earlier and later half of the period; suggestions use the median of each quest's last ${ESTIMATE_SAMPLE_SIZE} tracked completions.*
+
+### By Quest
+
+| Quest | Completions | Avg Estimate | Avg Actual | Actual/Estimate | Overtime | Trend | Suggested Estimate |
+|-------|-------------|--------------|------------|-----------------|----------|-------|--------------------|
+${estimates.byQuest.map(q => `| ${q.name} | ${q.samples} | ${formatTime(q.avgEstimate)} | ${formatTime(q.avgActual)} | ${q.ratio}% | ${q.overtimeRate}% | ${q.trend} | ${q.suggestion ? formatTime(q.suggestion.minutes) : '—'} |`).join('\n')}
+
+### By Category
+
+| Category | Completions | Avg Estimate | Avg Actual | Actual/Estimate | Overtime | Trend |
+|----------|-------------|--------------|------------|-----------------|----------|-------|
+${estimates.byCategory.map(c => `| ${c.category} | ${c.samples} | ${formatTime(c.avgEstimate)} | ${formatTime(c.avgActual)} | ${c.ratio}% | ${c.overtimeRate}% | ${c.trend} |`).join('\n')}
+
+### Over Time
+
+| Week of | Completions | Actual/Estimate | Overtime |
+|---------|-------------|-----------------|----------|
+${estimates.byWeek.map(w => `| ${w.date} | ${w.samples} | ${w.ratio}% | ${w.overtimeRate}% |`).join('\n')}` : '*No completions with both an estimate and tracked time in this period.*'}`,
+
+      achievements: `## 🏆 Achievements
+
+**${earned.length}** of ${ACHIEVEMENTS.length} unlocked${earned.some(isNew) ? `, ${earned.filter(isNew).length} of them in this period (🆕)` : ''}.
+
+${earned.length > 0 ? `| Badge | Achievement | Unlocked |
+|-------|-------------|----------|
+${earned.map(a => `| ${a.icon} ${a.name}${isNew(a) ? ' 🆕' : ''} | ${a.description} | ${unlocked[a.id]} |`).join('\n')}` : '*No achievements unlocked yet.*'}${locked.length > 0 ? `
+
+**Still locked:** ${locked.map(a => `${a.name} (${a.description.toLowerCase()})`).join(' · ')}` : ''}`,
+
+      rewards: `## 🪙 Gold & Rewards
+
+| Metric | Value |
+|--------|-------|
+| 🪙 Balance | **${stats.gold.balance}** |
+| 📥 Earned in period | ${stats.gold.earned} |
+| 📤 Spent in period | ${stats.gold.redemptions.reduce((sum, r) => sum + r.cost, 0)} |
+
+${stats.gold.redemptions.length > 0 ? `| Date | Reward | Cost |
+|------|--------|------|
+${stats.gold.redemptions.map(r => `| ${r.date} | ${r.name} | ${r.cost} |`).join('\n')}` : '*No rewards redeemed in this period.*'}`,
+
+      penalties: `## 💔 Missed Quests & Health
+
+| Metric | Value |
+|--------|-------|
+| ❌ Missed quests | ${stats.penalties.missed} |
+| ❤️ HP lost | ${stats.penalties.hp} |
+| ⚡ XP lost | ${stats.penalties.xp} |
+| 💀 Knockouts | ${stats.penalties.knockouts} |
+| 🏖️ Rest days | ${stats.penalties.restDays} |
+
+${stats.penalties.byQuest.length > 0 ? `| Quest | Missed | HP Lost | XP Lost |
+|-------|--------|---------|---------|
+${stats.penalties.byQuest.map(q => `| ${q.name} | ${q.missed} | ${q.hp} | ${q.xp} |`).join('\n')}` : '*No penalties in this period.*'}`,
+
+      xpChart: `## 📈 ${weekly ? 'Weekly' : 'Daily'} XP Earned
+
+\`\`\`mermaid
+${this.generateXPChart(stats.timeline, weekly)}
+\`\`\``,
 
-## 📋 Monthly Activity Report (Last 30 Days)
+      activity: `## 📋 Activity
 
-| Date | Tasks Completed | XP Earned |
-|------|-----------------|-----------|
-${stats.last30Days.map(day => {
-      return `| ${day.date} | ${day.count} | ${day.xp} |`;
+| ${weekly ? 'Week of' : 'Date'} | Tasks Completed | XP Earned | Time Tracked |
+|------|-----------------|-----------|--------------|
+${stats.timeline.map(day => {
+      return `| ${day.date} | ${day.count} | ${day.xp} | ${formatTime(day.minutes)} |`;
     }).join('\n')}
 
-**Total:** ${stats.totalCompleted} tasks • ${stats.totalXP} XP
-`;
+**Total:** ${stats.totalCompleted} tasks • ${stats.totalXP} XP • ${formatTime(stats.totalMinutes)} tracked`,
+    };
+
+    return renderTemplate(template, {
+      ...sections,
+      period: range.key,
+      periodLabel: range.label,
+      start: range.start,
+      end: range.end,
+      filter: describeQuestFilter(stats.filter, this.questLog.quests),
+      generated: this.getTodayDateStr(),
+      level: stats.player.level,
+      rank: `${rank.icon} ${rank.name}`,
+      completions: stats.totalCompleted,
+      xp: stats.totalXP,
+      time: formatTime(stats.totalMinutes),
+      pomodoros: stats.totalPomodoros,
+    });
   }
 
   generateTopQuestsChart(topQuests) {
@@ -857,7 +3555,7 @@ pie title Quest Completion Distribution (Top 5)
   }
 
   generateCategoryPieChart(categoryStats) {
-    const top8 = categoryStats.slice(0, 8);
+    const top8 = categoryStats.filter(cat => cat.count > 0).slice(0, 8);
     return `---
 config:
     theme: forest
@@ -866,17 +3564,17 @@ pie title Completions by Category
     ${top8.map(cat => `"${this.escapeLabel(this.truncateText(cat.category, 15))}" : ${cat.count}`).join('\n    ')}`;
   }
 
-  generateWeeklyXPChart(last7Days) {
-    const maxXP = Math.max(...last7Days.map(d => d.xp), 10);
+  generateXPChart(timeline, weekly = false) {
+    const maxXP = Math.max(...timeline.map(d => d.xp), 10);
     return `---
 config:
     theme: dark
 ---
 xychart-beta
-    title "Daily XP Earned (Last 7 Days)"
-    x-axis [${last7Days.map(d => `"${d.date.slice(5)}"`).join(', ')}]
+    title "${weekly ? 'Weekly' : 'Daily'} XP Earned"
+    x-axis [${timeline.map(d => `"${d.date.slice(5)}"`).join(', ')}]
     y-axis "XP Earned" 0 --> ${maxXP + 50}
-    bar [${last7Days.map(d => d.xp).join(', ')}]`;
+    bar [${timeline.map(d => d.xp).join(', ')}]`;
   }
 
   truncateText(text, maxLength) {
@@ -904,6 +3602,8 @@ class QuestView extends ItemView {
     this.editingDraft = null;
     this.totalRemainingSpan = null;
     this.archivedCollapsed = true;
+    this.badgesCollapsed = true;
+    this.shopCollapsed = true;
   }
 
   getViewType() { return VIEW_TYPE_QUESTS; }
@@ -923,7 +3623,11 @@ class QuestView extends ItemView {
   stopTicker() { if (this.timerHandle) { window.clearInterval(this.timerHandle); this.timerHandle = null; } }
 
   updateActiveTimerRow() {
-    const { activeQuestId } = this.plugin.questLog.timerState;
+    const { activeQuestId, pomodoro } = this.plugin.questLog.timerState;
+    if (pomodoro?.phase) {
+      const entry = this.domIndex.get(pomodoro.questId);
+      if (entry?.pomodoroEl?.isConnected) this.updatePomodoroDisplay(entry.pomodoroEl, entry.quest);
+    }
     if (!activeQuestId) return;
     const entry = this.domIndex.get(activeQuestId);
     if (!entry) return;
@@ -972,6 +3676,7 @@ class QuestView extends ItemView {
     const xpForNext = this.plugin.getXPForNextLevel(player.level);
     const xpPercent = clamp((player.xp / xpForNext) * 100, 0, 100);
     const rank = RANK_FOR(player.level);
+    const gold = this.plugin.getGoldBalance();
 
     // Header
     const viewHeader = container.createDiv({ cls: 'quest-view-header' });
@@ -1015,10 +3720,27 @@ class QuestView extends ItemView {
   <div class="xp-stat xp-stat--time">
     ${svgIcon('clock', { size: 12 })}
     <span class="quest-total-remaining">${formatTime(totalRemaining)}</span>
+  </div>
+  <div class="xp-stat xp-stat--gold${gold < 0 ? ' xp-stat--debt' : ''}" title="Gold">
+    <span>🪙 ${gold}</span>
   </div>`;
 
     this.totalRemainingSpan = xpStats.querySelector('.quest-total-remaining');
 
+    if (this.plugin.hpMode) {
+      const hp = this.plugin.getHp(), maxHp = this.plugin.getMaxHp();
+      const resting = this.plugin.isRestDay(this.plugin.today);
+      const hpContainer = progressRow.createDiv({ cls: 'hp-container-compact', attr: { role: 'button', title: 'Health — click to plan rest days' } });
+      const hpFill = hpContainer.createDiv({ cls: 'hp-bar-compact' }).createDiv({ cls: 'hp-fill-compact' });
+      hpFill.style.width = `${Math.round((hp / maxHp) * 100)}%`;
+      if (hp / maxHp <= 0.25) hpFill.addClass('hp-fill-compact--low');
+      hpContainer.createDiv({ cls: 'xp-stats-overlay' }).innerHTML = `
+  <div class="xp-stat xp-stat--hp">
+    <span>${resting ? '🏖️' : '❤️'} ${hp}/${maxHp}</span>
+  </div>`;
+      hpContainer.addEventListener('click', () => new RestDaysModal(this.app, this.plugin).open());
+    }
+
     const addBtnCompact = this.createElement('button', {
       cls: 'btn-add-compact',
       attr: { type: 'button', 'aria-label': 'Add Quest' },
@@ -1059,6 +3781,9 @@ class QuestView extends ItemView {
       for (const q of otherQuests) this.renderQuestItem(otherList, q, { draggable: false, locked: true });
     }
 
+    this.renderAchievements(container);
+    this.renderShop(container);
+
     // Archived Section
     const archived = this.plugin.questLog.quests.filter((q) => q.archived);
     if (archived.length) {
@@ -1078,7 +3803,11 @@ class QuestView extends ItemView {
 
       for (const q of archived) {
         const item = archivedList.createDiv({ cls: 'quest-archived-item' });
-        item.createDiv({ cls: 'quest-archived-name', text: q.name });
+        const archivedName = item.createDiv({ cls: 'quest-archived-name', text: q.name });
+        if (q.notePath) {
+          archivedName.addClass('quest-name--linked');
+          archivedName.addEventListener('click', () => this.plugin.openQuestNote(q));
+        }
 
         const controls = item.createDiv({ cls: 'quest-archived-controls' });
 
@@ -1115,8 +3844,15 @@ class QuestView extends ItemView {
       cls: 'btn-primary',
       attr: { type: 'button', 'aria-label': 'Generate Report' }
     });
-    reportBtn.addEventListener('click', () => this.plugin.generateReport());
+    reportBtn.addEventListener('click', () => new ReportBuilderModal(this.app, this.plugin).open());
     footer.appendChild(reportBtn);
+    const heatmapBtn = this.createElement('button', {
+      text: '📅 Heatmap',
+      cls: 'btn-secondary',
+      attr: { type: 'button', 'aria-label': 'Open completion heatmap' }
+    });
+    heatmapBtn.addEventListener('click', () => this.plugin.activateHeatmap());
+    footer.appendChild(heatmapBtn);
 
     requestAnimationFrame(() => {
       container.scrollTop = savedScrollTop;
@@ -1142,7 +3878,7 @@ class QuestView extends ItemView {
       if (e.key === 'Escape') { e.preventDefault(); this.closeInlineEdit(); }
     });
 
-    this.attachInlineEditor(item, { name: '', category: '', estimateMinutes: null, schedule: 'daily' }, true, 'new');
+    this.attachInlineEditor(item, { name: '', category: '', estimateMinutes: null, schedule: 'daily', difficulty: 'normal', target: null, unit: '', pomodoro: null }, true, 'new');
     setTimeout(() => nameInput.focus(), 100);
   }
 
@@ -1169,14 +3905,19 @@ class QuestView extends ItemView {
       item.draggable = true;
     }
 
-    const checkbox = item.createEl('input', { type: 'checkbox', cls: 'quest-checkbox' });
-    checkbox.checked = state.isCompleted;
-    checkbox.disabled = locked || state.isCompleted;
-    checkbox.setAttribute('aria-label', `Complete ${quest.name}`);
-    if (!locked && !state.isCompleted) {
-      checkbox.addEventListener('change', async () => {
-        if (checkbox.checked) await this.plugin.completeQuest(quest);
-      });
+    const isQuantity = quest.target > 0 && !state.isCompleted;
+    if (isQuantity) {
+      this.renderQuantityCounter(item, quest, locked);
+    } else {
+      const checkbox = item.createEl('input', { type: 'checkbox', cls: 'quest-checkbox' });
+      checkbox.checked = state.isCompleted;
+      checkbox.disabled = locked || state.isCompleted;
+      checkbox.setAttribute('aria-label', `Complete ${quest.name}`);
+      if (!locked && !state.isCompleted) {
+        checkbox.addEventListener('change', async () => {
+          if (checkbox.checked) await this.plugin.completeQuest(quest);
+        });
+      }
     }
 
     const info = item.createDiv({ cls: 'quest-info' });
@@ -1195,8 +3936,33 @@ class QuestView extends ItemView {
       setTimeout(() => nameInput.focus(), 50);
     } else {
       nameEl.setText(quest.name);
+      const progress = this.plugin.getPeriodProgress(quest);
+      if (progress) {
+        nameEl.createSpan({
+          cls: 'quest-frequency' + (progress.done >= progress.target ? ' quest-frequency--met' : ''),
+          text: `${progress.done}/${progress.target} this ${progress.period}`,
+        });
+      }
+      const streak = this.plugin.getQuestStreak(quest);
+      if (streak.current > 0) {
+        const unit = streak.unit ? `${streak.unit}s` : 'scheduled days';
+        nameEl.createSpan({
+          cls: 'quest-streak',
+          text: `🔥${streak.current}`,
+          attr: { title: `Streak: ${streak.current} ${unit} in a row (best ${streak.best})` },
+        });
+      }
+      // Single click opens the quest's note; delayed so a double click can still edit
+      let clickTimer = null;
+      if (quest.notePath) {
+        nameEl.addClass('quest-name--linked');
+        nameEl.addEventListener('click', () => {
+          clearTimeout(clickTimer);
+          clickTimer = setTimeout(() => this.plugin.openQuestNote(quest), 250);
+        });
+      }
       if (!state.isCompleted && !state.isActive) {
-        const startInlineEdit = (e) => { e.preventDefault(); this.openInlineEdit(quest); };
+        const startInlineEdit = (e) => { e.preventDefault(); clearTimeout(clickTimer); this.openInlineEdit(quest); };
         nameEl.addClass('quest-name--editable');
         nameEl.addEventListener('dblclick', startInlineEdit);
 
@@ -1211,8 +3977,18 @@ class QuestView extends ItemView {
 
     const estimateEl = info.createDiv({ cls: 'quest-estimate' });
     this.updateEstimateDisplay(estimateEl, quest, state);
+    let pomodoroEl = null;
+    if (this.plugin.isPomodoroQuest(quest) || this.plugin.getPomodoroCount(quest.id) > 0) {
+      pomodoroEl = info.createDiv({ cls: 'quest-pomodoro' });
+      this.updatePomodoroDisplay(pomodoroEl, quest);
+    }
 
     const controls = item.createDiv({ cls: 'quest-controls' });
+    if (isQuantity && !locked && this.plugin.getQuantity(quest.id) > 0) {
+      const finishBtn = this.iconBtn('check', 'Finish with current amount');
+      finishBtn.addEventListener('click', async () => await this.plugin.completeQuest(quest));
+      controls.appendChild(finishBtn);
+    }
     if (!locked && !state.isCompleted) {
       if (!state.isActive && !state.isPaused) {
         const startBtn = this.iconBtn('play', 'Start'); startBtn.addClass('primary');
@@ -1242,10 +4018,29 @@ class QuestView extends ItemView {
       this.attachInlineEditor(item, {
         name: quest.name, category: quest.category,
         estimateMinutes: quest.estimateMinutes ?? null, schedule: quest.schedule || 'weekdays',
+        difficulty: normDifficulty(quest.difficulty),
+        target: quest.target ?? null, unit: quest.unit || '', pomodoro: quest.pomodoro ?? null,
       }, false, quest.id);
     }
 
-    this.domIndex.set(quest.id, { estimateEl, itemEl: item, quest });
+    this.domIndex.set(quest.id, { estimateEl, pomodoroEl, itemEl: item, quest });
+  }
+
+  renderQuantityCounter(item, quest, locked) {
+    const count = this.plugin.getQuantity(quest.id);
+    const unit = quest.unit ? ` ${quest.unit}` : '';
+    const counter = item.createDiv({ cls: 'quest-counter', attr: { title: `${count}/${quest.target}${unit}` } });
+
+    const minus = counter.createEl('button', { text: '−', cls: 'quest-counter__btn', attr: { type: 'button', 'aria-label': `Decrease ${quest.name}` } });
+    counter.createSpan({ cls: 'quest-counter__value', text: `${count}/${quest.target}` });
+    const plus = counter.createEl('button', { text: '+', cls: 'quest-counter__btn', attr: { type: 'button', 'aria-label': `Increase ${quest.name}` } });
+
+    minus.disabled = locked || count === 0;
+    plus.disabled = locked;
+    if (!locked) {
+      minus.addEventListener('click', async () => await this.plugin.incrementQuest(quest.id, -1));
+      plus.addEventListener('click', async () => await this.plugin.incrementQuest(quest.id, 1));
+    }
   }
 
   updateEstimateDisplay(div, quest, state) {
@@ -1273,6 +4068,21 @@ class QuestView extends ItemView {
     }
   }
 
+  /** Countdown of the running work block or break, otherwise today's pomodoro count. */
+  updatePomodoroDisplay(div, quest) {
+    div.className = 'quest-pomodoro';
+    const p = this.plugin.questLog.timerState.pomodoro;
+    const done = this.plugin.getPomodoroCount(quest.id);
+    if (p?.phase && p.questId === quest.id) {
+      const left = formatTime((p.endsAt - Date.now()) / 60000);
+      div.addClass(`quest-pomodoro--${p.phase}`);
+      div.setText(p.phase === 'work' ? `🍅 ${left} left` : `☕ ${p.kind === 'long' ? 'Long break' : 'Break'}: ${left}`);
+    } else {
+      div.setText(done ? `🍅 ×${done}` : '');
+    }
+    div.title = `${done} pomodoro${done === 1 ? '' : 's'} today`;
+  }
+
   setupDragDrop(container) {
     let dragged = null;
     container.addEventListener('dragstart', (e) => {
@@ -1309,6 +4119,86 @@ class QuestView extends ItemView {
     }, { offset: Number.NEGATIVE_INFINITY, element: null }).element;
   }
 
+  renderAchievements(container) {
+    const unlocked = this.plugin.questLog.achievements || {};
+    const count = ACHIEVEMENTS.filter((a) => unlocked[a.id]).length;
+    const header = container.createDiv({ cls: 'quest-section-title quest-section-badges quest-section-toggle' });
+    header.innerHTML = `${svgIcon('chevronDown', { size: 12 })} 🏆 Achievements (${count}/${ACHIEVEMENTS.length})`;
+    header.style.cursor = 'pointer';
+    if (this.badgesCollapsed) header.addClass('collapsed');
+
+    const grid = container.createDiv({ cls: 'quest-badges' });
+    if (this.badgesCollapsed) grid.style.display = 'none';
+
+    header.addEventListener('click', () => {
+      this.badgesCollapsed = !this.badgesCollapsed;
+      header.toggleClass('collapsed', this.badgesCollapsed);
+      grid.style.display = this.badgesCollapsed ? 'none' : '';
+    });
+
+    for (const a of ACHIEVEMENTS) {
+      const date = unlocked[a.id];
+      const badge = grid.createDiv({
+        cls: date ? 'quest-badge' : 'quest-badge quest-badge--locked',
+        attr: { title: date ? `${a.description} — unlocked ${date}` : a.description },
+      });
+      badge.createDiv({ cls: 'quest-badge__icon', text: date ? a.icon : '🔒' });
+      badge.createDiv({ cls: 'quest-badge__name', text: a.name });
+    }
+  }
+
+  renderShop(container) {
+    const plugin = this.plugin;
+    const { rewards, redemptions } = plugin.questLog;
+    const balance = plugin.getGoldBalance();
+    const header = container.createDiv({ cls: 'quest-section-title quest-section-shop quest-section-toggle' });
+    header.innerHTML = `${svgIcon('chevronDown', { size: 12 })} 🪙 Reward Shop (${balance} gold)`;
+    header.style.cursor = 'pointer';
+    if (this.shopCollapsed) header.addClass('collapsed');
+
+    const shop = container.createDiv({ cls: 'quest-shop' });
+    if (this.shopCollapsed) shop.style.display = 'none';
+
+    header.addEventListener('click', () => {
+      this.shopCollapsed = !this.shopCollapsed;
+      header.toggleClass('collapsed', this.shopCollapsed);
+      shop.style.display = this.shopCollapsed ? 'none' : '';
+    });
+
+    if (!rewards.length) shop.createDiv({ cls: 'quest-shop-empty', text: 'Add rewards to spend the gold you earn, e.g. "30 min gaming" for 50 gold.' });
+    for (const reward of rewards) {
+      const item = shop.createDiv({ cls: 'quest-shop-item' });
+      item.createSpan({ cls: 'quest-shop-name', text: reward.name });
+      item.createSpan({ cls: 'quest-shop-cost', text: `${reward.cost} 🪙` });
+      const redeem = item.createEl('button', { text: 'Redeem', cls: 'btn-primary', attr: { type: 'button' } });
+      redeem.disabled = reward.cost > balance;
+      redeem.addEventListener('click', () => plugin.redeemReward(reward.id));
+      const remove = item.createEl('button', { text: '×', cls: 'btn-secondary', attr: { type: 'button', 'aria-label': `Delete ${reward.name}` } });
+      remove.addEventListener('click', () => plugin.deleteReward(reward.id));
+    }
+
+    const form = shop.createDiv({ cls: 'quest-shop-add' });
+    const nameInput = form.createEl('input', { type: 'text', cls: 'form-input-beautiful', attr: { placeholder: 'New reward' } });
+    const costInput = form.createEl('input', { type: 'number', cls: 'form-input-beautiful', attr: { placeholder: 'Cost', min: '0' } });
+    const add = form.createEl('button', { text: 'Add', cls: 'btn-secondary', attr: { type: 'button' } });
+    const submit = () => plugin.addReward(nameInput.value, costInput.value === '' ? NaN : Number(costInput.value));
+    add.addEventListener('click', submit);
+    [nameInput, costInput].forEach((inp) => inp.addEventListener('keydown', (e) => { if (e.key === 'Enter') submit(); }));
+
+    const today = redemptions.filter((r) => r.date === plugin.today);
+    if (today.length) {
+      const ledger = shop.createDiv({ cls: 'quest-shop-ledger' });
+      ledger.createDiv({ cls: 'quest-shop-ledger-title', text: 'Redeemed today' });
+      for (const r of today) {
+        const row = ledger.createDiv({ cls: 'quest-shop-item' });
+        row.createSpan({ cls: 'quest-shop-name', text: `🎁 ${r.name}` });
+        row.createSpan({ cls: 'quest-shop-cost', text: `-${r.cost} 🪙` });
+        const refund = row.createEl('button', { text: 'Refund', cls: 'btn-secondary', attr: { type: 'button' } });
+        refund.addEventListener('click', () => plugin.unredeemReward(r.id));
+      }
+    }
+  }
+
   renderCompletedSection(container) {
     const t = this.plugin.today;
     const completedToday = this.plugin.questLog.completions.filter((c) => c.date === t).reverse();
@@ -1329,13 +4219,16 @@ class QuestView extends ItemView {
 
       const info = item.createDiv({ cls: 'quest-completed-info' });
       info.createDiv({ cls: 'quest-completed-name', text: quest.name });
-      info.createDiv({ cls: 'quest-completed-meta' }).innerHTML = `<span>+${completion.xpEarned} XP</span>`;
+      const meta = info.createDiv({ cls: 'quest-completed-meta' });
+      meta.innerHTML = `<span>+${completion.xpEarned} XP</span>`;
+      if (completion.quantity != null) meta.createSpan({ text: ` • ${completion.quantity}/${completion.target}${completion.unit ? ` ${completion.unit}` : ''}` });
+      if (completion.xpBreakdown) meta.title = formatXPBreakdown(completion.xpBreakdown);
     }
   }
 
   openInlineAdd() {
     this.editingId = 'new';
-    this.editingDraft = { name: '', category: '', estimateMinutes: null, selectedDays: new Set(DAY_KEYS) };
+    this.editingDraft = { name: '', category: '', estimateMinutes: null, difficulty: 'normal', target: null, unit: '', ...scheduleToDraft('daily') };
     this.render();
   }
 
@@ -1343,7 +4236,9 @@ class QuestView extends ItemView {
     this.editingId = quest.id;
     this.editingDraft = {
       name: quest.name, category: quest.category, estimateMinutes: quest.estimateMinutes ?? null,
-      selectedDays: parseSelectedDaysFromSchedule(quest.schedule || 'daily'),
+      difficulty: normDifficulty(quest.difficulty),
+      target: quest.target ?? null, unit: quest.unit || '',
+      ...scheduleToDraft(quest.schedule || 'daily'),
     };
     this.render();
   }
@@ -1358,17 +4253,26 @@ class QuestView extends ItemView {
     }
 
     const selectedDays = this.editingDraft?.selectedDays || new Set();
-    if (selectedDays.size === 0) return void new Notice('❌ At least one day must be selected');
+    const repeat = this.editingDraft?.repeat || 'weekly';
+    if ((repeat === 'weekly' || repeat === 'weeks') && selectedDays.size === 0) return void new Notice('❌ At least one day must be selected');
+
+    const schedule = selectedDaysToSchedule(selectedDays, this.editingDraft || {});
+    if (!schedule) return void new Notice('❌ Could not understand the schedule rule');
 
     const category = (this.editingDraft?.category || '').trim().toLowerCase() || 'uncategorized';
     const estimateMinutes = this.editingDraft?.estimateMinutes ?? null;
-    const schedule = selectedDaysToSchedule(selectedDays);
+    const difficulty = normDifficulty(this.editingDraft?.difficulty);
+    const target = this.editingDraft?.target ?? null;
+    const unit = (this.editingDraft?.unit || '').trim();
+    const pomodoro = this.editingDraft && 'pomodoro' in this.editingDraft ? this.editingDraft.pomodoro : undefined;
     const wasNew = questId === 'new' || !questId;
 
     this.editingId = null; this.editingDraft = null;
 
-    if (wasNew) await this.plugin.createQuest({ name, category, schedule, estimateMinutes });
-    else await this.plugin.updateQuest(questId, { name, category, schedule, estimateMinutes });
+    const fields = { name, category, schedule, estimateMinutes, difficulty, target, unit };
+    if (pomodoro !== undefined) fields.pomodoro = pomodoro;
+    if (wasNew) await this.plugin.createQuest(fields);
+    else await this.plugin.updateQuest(questId, fields);
   }
 
   attachInlineEditor(item, draft, isNew, questId = null) {
@@ -1413,20 +4317,161 @@ class QuestView extends ItemView {
     });
     estimateInput.addEventListener('input', () => {
       (this.editingDraft ||= {}).estimateMinutes = estimateInput.value ? parseInt(estimateInput.value, 10) : null;
+      updateXPPreview();
+    });
+    const suggestion = isNew ? null : this.plugin.suggestEstimate(this.plugin.questLog.quests.find((q) => q.id === questId));
+    if (suggestion) {
+      const suggestBtn = estimateGroup.createEl('button', {
+        text: `Use ${suggestion.minutes} min`,
+        cls: 'quest-estimate-suggest',
+        attr: { type: 'button', title: `Median of the last ${suggestion.samples} tracked completions: ${formatTime(suggestion.median)}` },
+      });
+      suggestBtn.addEventListener('click', () => {
+        estimateInput.value = String(suggestion.minutes);
+        (this.editingDraft ||= {}).estimateMinutes = suggestion.minutes;
+        updateXPPreview();
+        suggestBtn.remove();
+      });
+    }
+
+    const quantityRow = z1.createDiv({ cls: 'form-row-two-col' });
+    const unitGroup = quantityRow.createDiv({ cls: 'form-group-compact' });
+    unitGroup.createEl('label', { text: 'Unit', cls: 'form-label-compact' });
+    const unitInput = unitGroup.createEl('input', {
+      type: 'text', value: this.editingDraft?.unit ?? draft.unit ?? '', cls: 'form-input-beautiful',
+      attr: { placeholder: 'e.g., glasses (with a target)', autocomplete: 'off' },
+    });
+    unitInput.addEventListener('input', () => { (this.editingDraft ||= {}).unit = unitInput.value; });
+
+    const targetGroup = quantityRow.createDiv({ cls: 'form-group-compact' });
+    targetGroup.createEl('label', { text: 'Target', cls: 'form-label-compact' });
+    const targetInput = targetGroup.createEl('input', {
+      type: 'number', value: (this.editingDraft?.target ?? draft.target) ?? '',
+      cls: 'form-input-beautiful', attr: { placeholder: 'Optional', min: '1' },
+    });
+    targetInput.addEventListener('input', () => {
+      (this.editingDraft ||= {}).target = targetInput.value ? parseInt(targetInput.value, 10) : null;
+      updateXPPreview();
+    });
+
+    const xpRow = z1.createDiv({ cls: 'form-row-two-col' });
+    const difficultyGroup = xpRow.createDiv({ cls: 'form-group-compact' });
+    difficultyGroup.createEl('label', { text: 'Difficulty', cls: 'form-label-compact' });
+    const difficultySelect = difficultyGroup.createEl('select', { cls: 'form-input-beautiful' });
+    DIFFICULTY_TIERS.forEach((t) => difficultySelect.createEl('option', { value: t.key, text: `${t.label} (×${this.plugin.settings.difficultyMultipliers[t.key]})` }));
+    difficultySelect.value = this.editingDraft?.difficulty ?? draft.difficulty ?? 'normal';
+    difficultySelect.addEventListener('change', () => {
+      (this.editingDraft ||= {}).difficulty = difficultySelect.value;
+      updateXPPreview();
+    });
+
+    const previewGroup = xpRow.createDiv({ cls: 'form-group-compact' });
+    previewGroup.createEl('label', { text: 'Reward', cls: 'form-label-compact' });
+    const xpPreview = previewGroup.createDiv({ cls: 'quest-xp-preview' });
+    const updateXPPreview = () => {
+      const preview = {
+        estimateMinutes: this.editingDraft?.estimateMinutes ?? draft.estimateMinutes,
+        difficulty: this.editingDraft?.difficulty ?? draft.difficulty,
+        target: this.editingDraft?.target ?? draft.target,
+      };
+      const tracked = isNew ? 0 : this.plugin.getTotalMinutes(questId);
+      const breakdown = this.plugin.calculateQuestXP(preview, tracked, preview.target > 0 ? preview.target : null);
+      xpPreview.setText(`+${breakdown.total} XP`);
+      xpPreview.title = formatXPBreakdown(breakdown);
+    };
+    updateXPPreview();
+
+    const focusRow = z1.createDiv({ cls: 'form-row-two-col' });
+    const pomodoroGroup = focusRow.createDiv({ cls: 'form-group-compact' });
+    pomodoroGroup.createEl('label', { text: 'Pomodoro', cls: 'form-label-compact' });
+    const pomodoroSelect = pomodoroGroup.createEl('select', { cls: 'form-input-beautiful' });
+    pomodoroSelect.createEl('option', { value: '', text: `Default (${this.plugin.settings.pomodoroEnabled ? 'on' : 'off'})` });
+    pomodoroSelect.createEl('option', { value: 'on', text: 'On' });
+    pomodoroSelect.createEl('option', { value: 'off', text: 'Off' });
+    const pomodoroValue = this.editingDraft && 'pomodoro' in this.editingDraft ? this.editingDraft.pomodoro : draft.pomodoro;
+    pomodoroSelect.value = pomodoroValue === true ? 'on' : pomodoroValue === false ? 'off' : '';
+    pomodoroSelect.addEventListener('change', () => {
+      (this.editingDraft ||= {}).pomodoro = pomodoroSelect.value ? pomodoroSelect.value === 'on' : null;
     });
 
     const z2 = editor.createDiv({ cls: 'quest-editor__zone zone2' });
     const scheduleHeader = z2.createDiv({ cls: 'schedule-header' });
-    scheduleHeader.createEl('label', { text: 'Schedule Days (UTC)', cls: 'form-label-schedule' });
+    scheduleHeader.createEl('label', { text: 'Schedule', cls: 'form-label-schedule' });
 
     const presetsInline = scheduleHeader.createDiv({ cls: 'schedule-presets-inline' });
     const selectedDays = this.editingDraft?.selectedDays || parseSelectedDaysFromSchedule(draft.schedule || 'weekdays');
+    const initialRule = scheduleToDraft(draft.schedule || 'weekdays');
+    const ruleDraft = () => ({ ...initialRule, ...(this.editingDraft || {}), selectedDays });
+
+    const repeatRow = z2.createDiv({ cls: 'schedule-repeat-row' });
+    const repeatSelect = repeatRow.createEl('select', { cls: 'form-input-beautiful' });
+    REPEAT_MODES.forEach((r) => repeatSelect.createEl('option', { value: r.key, text: r.label }));
+    repeatSelect.value = ruleDraft().repeat;
 
-    const updateDayButtons = () => btns.forEach(({ btn, key }) => {
-      const active = selectedDays.has(key);
-      btn.toggleClass('active', active);
-      btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    const everyInput = repeatRow.createEl('input', {
+      type: 'number', value: String(ruleDraft().every), cls: 'form-input-beautiful schedule-every-input',
+      attr: { min: '1', 'aria-label': 'Repeat interval' },
     });
+    const periodSelect = repeatRow.createEl('select', { cls: 'form-input-beautiful', attr: { 'aria-label': 'Period' } });
+    [['week', 'per week'], ['month', 'per month']].forEach(([value, text]) => periodSelect.createEl('option', { value, text }));
+    periodSelect.value = ruleDraft().period;
+    const ruleInput = repeatRow.createEl('input', {
+      type: 'text', value: ruleDraft().ruleText, cls: 'form-input-beautiful',
+      attr: { autocomplete: 'off' },
+    });
+    const anchorLabel = repeatRow.createEl('label', { cls: 'schedule-anchor-toggle' });
+    const anchorCheckbox = anchorLabel.createEl('input', { type: 'checkbox' });
+    anchorCheckbox.checked = ruleDraft().anchor === 'completion';
+    anchorLabel.appendText(' after completion');
+    anchorLabel.title = 'Count the interval from the last completion instead of the creation date';
+
+    const schedulePreview = z2.createDiv({ cls: 'schedule-preview' });
+
+    const updateScheduleZone = () => {
+      const rd = ruleDraft();
+      const usesDays = rd.repeat === 'weekly' || rd.repeat === 'weeks';
+      const usesEvery = rd.repeat === 'days' || rd.repeat === 'weeks';
+      presetsInline.style.display = rd.repeat === 'weekly' ? '' : 'none';
+      dayPicker.style.display = usesDays ? '' : 'none';
+      everyInput.style.display = (usesEvery || rd.repeat === 'frequency') ? '' : 'none';
+      everyInput.setAttribute('aria-label', rd.repeat === 'frequency' ? 'Times per period' : 'Repeat interval');
+      periodSelect.style.display = rd.repeat === 'frequency' ? '' : 'none';
+      anchorLabel.style.display = usesEvery ? '' : 'none';
+      ruleInput.style.display = (rd.repeat === 'monthly' || rd.repeat === 'once') ? '' : 'none';
+      ruleInput.placeholder = rd.repeat === 'monthly' ? 'e.g., 1st and 15th, last fri' : 'e.g., 2026-11-03, 2026-12-01';
+
+      const schedule = selectedDaysToSchedule(selectedDays, rd);
+      if (!schedule) {
+        schedulePreview.setText('⚠️ Rule not recognised');
+        schedulePreview.addClass('schedule-preview--invalid');
+        return;
+      }
+      schedulePreview.removeClass('schedule-preview--invalid');
+      const quest = this.plugin.questLog.quests.find((q) => q.id === questId);
+      const next = this.plugin.getUpcomingDates({ id: quest?.id, createdAt: quest?.createdAt, schedule }, 3);
+      schedulePreview.setText(`${schedule} • Next: ${next.length ? next.join(', ') : 'none'}`);
+    };
+
+    repeatSelect.addEventListener('change', () => { (this.editingDraft ||= {}).repeat = repeatSelect.value; updateScheduleZone(); });
+    everyInput.addEventListener('input', () => {
+      (this.editingDraft ||= {}).every = Math.max(1, parseInt(everyInput.value, 10) || 1);
+      updateScheduleZone();
+    });
+    periodSelect.addEventListener('change', () => { (this.editingDraft ||= {}).period = periodSelect.value; updateScheduleZone(); });
+    ruleInput.addEventListener('input', () => { (this.editingDraft ||= {}).ruleText = ruleInput.value; updateScheduleZone(); });
+    anchorCheckbox.addEventListener('change', () => {
+      (this.editingDraft ||= {}).anchor = anchorCheckbox.checked ? 'completion' : 'created';
+      updateScheduleZone();
+    });
+
+    const updateDayButtons = () => {
+      btns.forEach(({ btn, key }) => {
+        const active = selectedDays.has(key);
+        btn.toggleClass('active', active);
+        btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+      });
+      updateScheduleZone();
+    };
 
     const applyPreset = (days) => { selectedDays.clear(); days.forEach((d) => selectedDays.add(d)); updateDayButtons(); };
 
@@ -1465,6 +4510,7 @@ class QuestView extends ItemView {
       });
       btns.push({ btn, key: d.key });
     });
+    updateScheduleZone();
 
     const z3 = editor.createDiv({ cls: 'quest-editor__zone zone3' });
     if (!isNew) {
@@ -1478,6 +4524,10 @@ class QuestView extends ItemView {
         this.closeInlineEdit();
       });
 
+      const timeBtn = z3.createEl('button', { cls: 'btn-secondary', attr: { type: 'button', title: 'Log time or back-date a completion' } });
+      timeBtn.innerHTML = svgIcon('clock', { size: 14 });
+      timeBtn.addEventListener('click', () => { this.closeInlineEdit(); new TimeEntryModal(this.app, this.plugin, questId).open(); });
+
       const deleteBtn = z3.createEl('button', { cls: 'btn-danger', attr: { type: 'button', title: 'Delete quest' } });
       deleteBtn.innerHTML = svgIcon('trash', { size: 16 });
       deleteBtn.addEventListener('click', async () => { await this.plugin.deleteQuest(questId); this.closeInlineEdit(); });
@@ -1489,7 +4539,7 @@ class QuestView extends ItemView {
     cancelBtn.addEventListener('click', () => this.closeInlineEdit());
     saveBtn.addEventListener('click', () => this.saveInlineEdit(questId));
 
-    [categoryInput, estimateInput].forEach((inp) => inp.addEventListener('keydown', (e) => {
+    [categoryInput, estimateInput, unitInput, targetInput, everyInput, ruleInput].forEach((inp) => inp.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); this.saveInlineEdit(questId); }
       if (e.key === 'Escape') { e.preventDefault(); this.closeInlineEdit(); }
     }));
@@ -1529,6 +4579,488 @@ class ConfirmModal extends Modal {
   onClose() { this.contentEl.empty(); }
 }
 
+/* ========================================================================== */
+/* SESSION REVIEW MODAL                                                       */
+/* ========================================================================== */
+
+/** Keep / trim / discard a timer session that looks forgotten. Closing the dialog keeps it. */
+class SessionReviewModal extends Modal {
+  constructor(app, plugin, review, onChoose) {
+    super(app);
+    this.plugin = plugin;
+    this.review = review;
+    this.onChoose = onChoose;
+    this.choice = 'keep';
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    const { quest, start, end, trimEnd, idle, gapStart } = this.review;
+    const clock = (ts) => new Date(ts).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    const total = formatTime((end - start) / 60000);
+    const message = idle
+      ? `The timer for "${quest.name}" kept running while Obsidian was closed or asleep (no activity from ${clock(gapStart)} to ${clock(end)}). It now shows ${total}.`
+      : `The timer for "${quest.name}" has been running for ${total}, longer than the ${formatTime(this.plugin.settings.maxSessionMinutes)} limit.`;
+
+    contentEl.empty();
+    contentEl.createEl('h2', { text: '⏰ Forgotten timer?' });
+    contentEl.createEl('p', { text: message, cls: 'modal-confirm-text' });
+    const btns = contentEl.createDiv({ cls: 'modal-buttons' });
+    const choose = (choice) => { this.choice = choice; this.close(); };
+    btns.createEl('button', { text: 'Discard', cls: 'btn-danger', attr: { type: 'button' } })
+      .addEventListener('click', () => choose('discard'));
+    btns.createEl('button', { text: `Trim to ${formatTime((trimEnd - start) / 60000)}`, cls: 'btn-secondary', attr: { type: 'button' } })
+      .addEventListener('click', () => choose('trim'));
+    btns.createEl('button', { text: `Keep ${total}`, cls: 'btn-secondary', attr: { type: 'button' } })
+      .addEventListener('click', () => choose('keep'));
+  }
+
+  onClose() { this.contentEl.empty(); this.onChoose(this.choice); }
+}
+
+/* ========================================================================== */
+/* HEATMAP VIEW                                                               */
+/* ========================================================================== */
+
+const HEATMAP_DAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** Year of completions (or XP) as a GitHub-style grid, one column per week. */
+class HeatmapView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+    this.filter = '';       // '', 'quest:<id>' or 'category:<name>'
+    this.metric = 'count';  // 'count' or 'xp'
+    this.selectedDate = null;
+  }
+
+  getViewType() { return VIEW_TYPE_HEATMAP; }
+  getDisplayText() { return 'Quest Heatmap'; }
+  getIcon() { return 'calendar'; }
+
+  async onOpen() { await super.onOpen(); this.render(); }
+
+  render() {
+    const el = this.contentEl;
+    el.empty();
+    el.addClass('quest-heatmap-view');
+    const { completions } = this.plugin.questLog;
+    const today = this.plugin.today;
+
+    const controls = el.createDiv({ cls: 'quest-heatmap-controls' });
+    const filterSelect = controls.createEl('select', { cls: 'dropdown' });
+    fillQuestFilterSelect(filterSelect, this.plugin, this.filter);
+    filterSelect.addEventListener('change', () => { this.filter = filterSelect.value; this.render(); });
+
+    const metricSelect = controls.createEl('select', { cls: 'dropdown' });
+    metricSelect.createEl('option', { value: 'count', text: 'Completions' });
+    metricSelect.createEl('option', { value: 'xp', text: 'XP' });
+    metricSelect.value = this.metric;
+    metricSelect.addEventListener('change', () => { this.metric = metricSelect.value; this.render(); });
+
+    const start = weekStart(shiftDate(today, -364));
+    const matches = questFilter(this.filter, this.plugin.questLog.quests);
+    const byDate = {};
+    for (const c of completions) {
+      if (c.date < start || c.date > today || !matches(c.questId)) continue;
+      const d = (byDate[c.date] ||= { count: 0, xp: 0 });
+      d.count++;
+      d.xp += c.xpEarned;
+    }
+    const days = Object.values(byDate);
+    const max = Math.max(0, ...days.map((d) => d[this.metric]));
+    const totalXP = days.reduce((sum, d) => sum + d.xp, 0);
+    const totalCount = days.reduce((sum, d) => sum + d.count, 0);
+    el.createDiv({
+      cls: 'quest-heatmap-summary',
+      text: `${totalCount} completion${totalCount === 1 ? '' : 's'} · ${totalXP.toLocaleString()} XP · ${days.length} active day${days.length === 1 ? '' : 's'} in the last year`,
+    });
+
+    const grid = el.createDiv({ cls: 'quest-heatmap' });
+    const labels = grid.createDiv({ cls: 'quest-heatmap-week quest-heatmap-labels' });
+    labels.createDiv({ cls: 'quest-heatmap-month' });
+    HEATMAP_DAY_LABELS.forEach((text) => labels.createDiv({ cls: 'quest-heatmap-daylabel', text }));
+
+    for (let week = start; week <= today; week = shiftDate(week, 7)) {
+      const col = grid.createDiv({ cls: 'quest-heatmap-week' });
+      // Label the column holding the first Monday-week of each month
+      const firstOfMonth = Array.from({ length: 7 }, (_, i) => shiftDate(week, i)).find((d) => d.endsWith('-01'));
+      col.createDiv({ cls: 'quest-heatmap-month', text: firstOfMonth ? MONTH_NAMES[Number(firstOfMonth.slice(5, 7)) - 1] : '' });
+      for (let i = 0; i < 7; i++) {
+        const date = shiftDate(week, i);
+        if (date > today) { col.createDiv({ cls: 'quest-heatmap-day quest-heatmap-day--future' }); continue; }
+        const data = byDate[date] || { count: 0, xp: 0 };
+        const value = data[this.metric];
+        const level = value > 0 ? Math.max(1, Math.ceil((value / max) * 4)) : 0;
+        const cell = col.createDiv({
+          cls: `quest-heatmap-day quest-heatmap-day--l${level}`,
+          attr: { title: `${date}: ${data.count} completion${data.count === 1 ? '' : 's'}, ${data.xp} XP`, 'aria-label': date },
+        });
+        if (date === this.selectedDate) cell.addClass('quest-heatmap-day--selected');
+        cell.addEventListener('click', () => { this.selectedDate = this.selectedDate === date ? null : date; this.render(); });
+      }
+    }
+
+    const legend = el.createDiv({ cls: 'quest-heatmap-legend' });
+    legend.createSpan({ text: 'Less' });
+    for (let l = 0; l <= 4; l++) legend.createDiv({ cls: `quest-heatmap-day quest-heatmap-day--l${l}` });
+    legend.createSpan({ text: 'More' });
+
+    if (this.selectedDate) this.renderDay(el, this.selectedDate);
+  }
+
+  renderDay(el, date) {
+    const plugin = this.plugin;
+    const panel = el.createDiv({ cls: 'quest-heatmap-details' });
+    const label = new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+    panel.createEl('h3', { text: label });
+
+    const matches = questFilter(this.filter, plugin.questLog.quests);
+    const done = plugin.questLog.completions.filter((c) => c.date === date && matches(c.questId));
+    if (!done.length) {
+      panel.createEl('p', { cls: 'quest-heatmap-empty', text: 'Nothing completed.' });
+    } else {
+      const list = panel.createEl('ul');
+      const tracked = plugin.getTrackedMinutesIndex();
+      for (const c of done) {
+        const quest = plugin.questLog.quests.find((q) => q.id === c.questId);
+        const minutes = c._snapshotTime || tracked.get(`${c.questId}|${date}`) || 0;
+        const parts = [`+${c.xpEarned} XP`];
+        if (minutes > 0) parts.push(formatTime(minutes));
+        if (c.quantity != null) parts.push(`${c.quantity}/${c.target}${c.unit ? ` ${c.unit}` : ''}`);
+        if (c.backdated) parts.push('back-dated');
+        const li = list.createEl('li');
+        li.createSpan({ cls: 'quest-heatmap-quest', text: quest ? quest.name : 'Deleted quest' });
+        li.createSpan({ cls: 'quest-heatmap-meta', text: ` — ${parts.join(' · ')}` });
+        if (c.xpBreakdown) li.title = formatXPBreakdown(c.xpBreakdown);
+      }
+    }
+
+    const questId = this.filter.startsWith('quest:') ? this.filter.slice(6) : null;
+    const backfill = panel.createEl('button', { text: '🕑 Back-fill or log time…', cls: 'btn-secondary', attr: { type: 'button' } });
+    backfill.addEventListener('click', () => new TimeEntryModal(this.app, plugin, questId, date).open());
+  }
+}
+
+/* ========================================================================== */
+/* TIME ENTRY MODAL                                                           */
+/* ========================================================================== */
+
+/** Log or correct the time tracked on a quest for any day, and mark past days done. */
+class TimeEntryModal extends Modal {
+  constructor(app, plugin, questId = null, date = null) {
+    super(app);
+    this.plugin = plugin;
+    this.questId = questId;
+    this.date = date;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    const plugin = this.plugin;
+    const quests = plugin.questLog.quests.filter((q) => !q.archived || q.id === this.questId);
+    contentEl.empty();
+    contentEl.addClass('time-entry');
+    contentEl.createEl('h2', { text: '🕑 Log Time' });
+    if (!quests.length) return void contentEl.createEl('p', { cls: 'modal-confirm-text', text: 'Create a quest first.' });
+
+    const field = (label) => {
+      const group = contentEl.createDiv({ cls: 'form-group-compact' });
+      group.createEl('label', { text: label, cls: 'form-label-compact' });
+      return group;
+    };
+    const questSelect = field('Quest').createEl('select', { cls: 'form-input-beautiful' });
+    quests.forEach((q) => questSelect.createEl('option', { value: q.id, text: `${q.name} (${q.category})` }));
+    questSelect.value = this.questId && quests.some((q) => q.id === this.questId) ? this.questId : quests[0].id;
+
+    const dateInput = field('Date').createEl('input', { type: 'date', cls: 'form-input-beautiful', attr: { max: plugin.today } });
+    dateInput.value = this.date || plugin.today;
+
+    const minutesGroup = field('Tracked time (min)');
+    const minutesInput = minutesGroup.createEl('input', { type: 'number', cls: 'form-input-beautiful', attr: { min: '0', max: '1440', step: '1' } });
+    const minutesHint = minutesGroup.createDiv({ cls: 'setting-item-description' });
+
+    const doneLabel = contentEl.createEl('label', { cls: 'time-entry-done' });
+    const doneCheckbox = doneLabel.createEl('input', { type: 'checkbox' });
+    const doneText = doneLabel.createSpan();
+    const amountGroup = field('Amount');
+    const amountInput = amountGroup.createEl('input', { type: 'number', cls: 'form-input-beautiful', attr: { min: '1' } });
+
+    let tracked = 0, wasDone = false;
+    const quest = () => plugin.questLog.quests.find((q) => q.id === questSelect.value);
+    const refresh = () => {
+      const q = quest(), date = dateInput.value;
+      tracked = plugin.getTrackedMinutesOn(q.id, date);
+      minutesInput.value = String(Math.round(tracked));
+      minutesHint.setText(`Currently ${formatTime(tracked)}${q.estimateMinutes ? ` of ${formatTime(q.estimateMinutes)} estimated` : ''}.`);
+      wasDone = plugin.questLog.completions.some((c) => c.questId === q.id && c.date === date);
+      doneCheckbox.checked = wasDone;
+      const pct = plugin.settings.backdateXpPercent;
+      doneText.setText(date === plugin.today || wasDone ? ' Completed on this day' : ` Completed on this day (back-dated, ${pct}% XP)`);
+      amountGroup.toggle(q.target > 0 && !wasDone);
+      amountInput.value = String(q.target || '');
+    };
+    questSelect.addEventListener('change', refresh);
+    dateInput.addEventListener('change', refresh);
+    doneCheckbox.addEventListener('change', () => amountGroup.toggle(quest().target > 0 && doneCheckbox.checked && !wasDone));
+    refresh();
+
+    const btns = contentEl.createDiv({ cls: 'modal-buttons' });
+    const cancel = btns.createEl('button', { text: 'Cancel', cls: 'btn-secondary', attr: { type: 'button' } });
+    const save = btns.createEl('button', { text: 'Save', cls: 'btn-primary', attr: { type: 'button' } });
+    cancel.addEventListener('click', () => this.close());
+    save.addEventListener('click', async () => {
+      const q = quest(), date = dateInput.value;
+      const error = plugin.validateEntryDate(date);
+      if (error) return void new Notice(`❌ ${error}`);
+      const minutes = minutesInput.value === '' ? 0 : Number(minutesInput.value);
+      // Time first, so a new completion is scored with it
+      if (Math.round(tracked) !== minutes) await plugin.setTrackedMinutes(q.id, date, minutes);
+      if (doneCheckbox.checked && !wasDone) await plugin.completeQuestOn(q, date, Number(amountInput.value) || null);
+      if (!doneCheckbox.checked && wasDone) await plugin.uncompleteQuest(q.id, date);
+      this.close();
+    });
+  }
+
+  onClose() { this.contentEl.empty(); }
+}
+
+/* ========================================================================== */
+/* REPORT BUILDER MODAL                                                       */
+/* ========================================================================== */
+
+/** Pick the period, filter and (previewed) output path of a report, then generate it. */
+class ReportBuilderModal extends Modal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    const plugin = this.plugin;
+    contentEl.empty();
+    contentEl.addClass('report-builder');
+    contentEl.createEl('h2', { text: '📊 Generate Report' });
+
+    const field = (label) => {
+      const group = contentEl.createDiv({ cls: 'form-group-compact' });
+      group.createEl('label', { text: label, cls: 'form-label-compact' });
+      return group;
+    };
+    const periodSelect = field('Period').createEl('select', { cls: 'form-input-beautiful' });
+    Object.entries(REPORT_PERIODS).forEach(([value, text]) => periodSelect.createEl('option', { value, text }));
+    periodSelect.value = plugin.settings.reportPeriod in REPORT_PERIODS ? plugin.settings.reportPeriod : 'month';
+
+    const fromGroup = field('');
+    const fromInput = fromGroup.createEl('input', { type: 'date', cls: 'form-input-beautiful' });
+    fromInput.value = plugin.today;
+    const toGroup = field('To');
+    const toInput = toGroup.createEl('input', { type: 'date', cls: 'form-input-beautiful' });
+    toInput.value = plugin.today;
+
+    const filterSelect = field('Quests').createEl('select', { cls: 'form-input-beautiful' });
+    fillQuestFilterSelect(filterSelect, plugin, plugin.settings.reportFilter);
+    // The remembered quest or category may since have been deleted
+    if (filterSelect.value !== plugin.settings.reportFilter) filterSelect.value = '';
+
+    const preview = contentEl.createDiv({ cls: 'setting-item-description report-builder-path' });
+
+    const options = () => ({
+      period: periodSelect.value,
+      from: fromInput.value || plugin.today,
+      to: toInput.value || plugin.today,
+      filter: filterSelect.value,
+    });
+    const refresh = () => {
+      const custom = periodSelect.value === 'custom';
+      fromGroup.querySelector('label').setText(custom ? 'From' : 'Any day in the period');
+      toGroup.toggle(custom);
+      const { period, from, to, filter } = options();
+      const range = reportRange(period, from, to);
+      preview.setText(`${range.start} to ${range.end} → ${plugin.getReportPath(range, filter)}`);
+    };
+    [periodSelect, fromInput, toInput, filterSelect].forEach((el) => el.addEventListener('change', refresh));
+    refresh();
+
+    const btns = contentEl.createDiv({ cls: 'modal-buttons' });
+    const cancel = btns.createEl('button', { text: 'Cancel', cls: 'btn-secondary', attr: { type: 'button' } });
+    const generate = btns.createEl('button', { text: 'Generate', cls: 'btn-primary', attr: { type: 'button' } });
+    cancel.addEventListener('click', () => this.close());
+    generate.addEventListener('click', async () => {
+      const opts = options();
+      plugin.settings.reportPeriod = opts.period;
+      plugin.settings.reportFilter = opts.filter;
+      await plugin.saveSettings();
+      this.close();
+      await plugin.generateReport(opts);
+    });
+  }
+
+  onClose() { this.contentEl.empty(); }
+}
+
+/* ========================================================================== */
+/* REST DAYS MODAL                                                            */
+/* ========================================================================== */
+
+/** Marks today, or a vacation range, as rest days that are never penalised. */
+class RestDaysModal extends Modal {
+  constructor(app, plugin) { super(app); this.plugin = plugin; }
+
+  onOpen() {
+    const { contentEl } = this;
+    const plugin = this.plugin;
+    contentEl.empty();
+    contentEl.addClass('rest-days');
+    contentEl.createEl('h2', { text: '🏖️ Rest Days' });
+    if (!plugin.settings.penaltyEnabled) {
+      contentEl.createEl('p', { cls: 'setting-item-description', text: 'Penalties are off, so missed quests cost nothing. Rest days are kept for when you turn them on.' });
+    }
+
+    new Setting(contentEl)
+      .setName('Today is a rest day')
+      .setDesc("Quests missed today won't cost anything at the rollover.")
+      .addToggle((toggle) => toggle
+        .setValue(plugin.isRestDay(plugin.today))
+        .onChange(async (value) => { await plugin.setRestDay(plugin.today, value); this.onOpen(); }));
+
+    let from = plugin.today, to = plugin.today;
+    const vacation = new Setting(contentEl)
+      .setName('Vacation')
+      .setDesc('Every day from the first date to the last one, both included.');
+    for (const [value, set] of [[from, (v) => { from = v; }], [to, (v) => { to = v; }]]) {
+      const input = vacation.controlEl.createEl('input', { type: 'date', cls: 'form-input-beautiful', attr: { min: plugin.today } });
+      input.value = value;
+      input.addEventListener('change', () => set(input.value));
+    }
+    vacation.addButton((btn) => btn.setButtonText('Add').setCta().onClick(async () => { await plugin.addVacation(from, to); this.onOpen(); }));
+
+    const upcoming = plugin.questLog.restDays.filter((d) => d >= plugin.today);
+    contentEl.createEl('h3', { text: 'Upcoming' });
+    if (!upcoming.length) return void contentEl.createEl('p', { cls: 'setting-item-description', text: 'No rest days planned.' });
+    for (const date of upcoming) {
+      new Setting(contentEl)
+        .setName(date === plugin.today ? `${date} (today)` : date)
+        .addExtraButton((btn) => btn.setIcon('trash').setTooltip('Remove').onClick(async () => { await plugin.setRestDay(date, false); this.onOpen(); }));
+    }
+  }
+
+  onClose() { this.contentEl.empty(); }
+}
+
+/* ========================================================================== */
+/* QUEST SUGGEST MODAL                                                        */
+/* ========================================================================== */
+
+/** Fuzzy picker over today's open quests; choosing one starts its timer. */
+class QuestSuggestModal extends FuzzySuggestModal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+    this.setPlaceholder('Switch to quest…');
+  }
+
+  getItems() {
+    return this.plugin.getTodayQuests().filter((q) => !this.plugin.isCompletedToday(q.id));
+  }
+
+  getItemText(quest) {
+    const active = this.plugin.questLog.timerState.activeQuestId === quest.id ? ' ⏱' : '';
+    return `${quest.name} (${quest.category})${active}`;
+  }
+
+  async onChooseItem(quest) {
+    if (this.plugin.questLog.timerState.activeQuestId !== quest.id) await this.plugin.startQuest(quest.id);
+  }
+}
+
+/* ========================================================================== */
+/* BACKUP BROWSER MODAL                                                       */
+/* ========================================================================== */
+
+class BackupBrowserModal extends Modal {
+  constructor(app, plugin) { super(app); this.plugin = plugin; }
+
+  async onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass('backup-browser');
+    contentEl.createEl('h2', { text: '🗄️ Restore from Backup' });
+    contentEl.createEl('p', {
+      cls: 'modal-confirm-text',
+      text: `Backups in ${BACKUP_FOLDER_NAME}/. Restoring replaces all current data; a safety backup of the current state is written first.`,
+    });
+
+    const backups = this.plugin.listBackups();
+    if (!backups.length) {
+      contentEl.createEl('p', { cls: 'backup-empty', text: 'No backups yet. One is written every day at rollover.' });
+      return;
+    }
+
+    const list = contentEl.createDiv({ cls: 'backup-list' });
+    for (const backup of backups) {
+      const row = list.createDiv({ cls: 'backup-row' });
+      const info = row.createDiv({ cls: 'backup-info' });
+      const title = info.createDiv({ cls: 'backup-title', text: backup.date });
+      if (backup.label) title.createSpan({ cls: 'backup-label', text: backup.label });
+      const summaryEl = info.createDiv({ cls: 'backup-summary', text: 'Reading…' });
+      const actions = row.createDiv({ cls: 'backup-actions' });
+      const diffEl = row.createDiv({ cls: 'backup-diff' });
+      diffEl.hide();
+
+      let data;
+      try {
+        data = await this.plugin.readBackup(backup.file);
+      } catch (err) {
+        summaryEl.setText(`⚠️ Unreadable: ${err.message}`);
+        continue;
+      }
+      const sum = summarizeQuestLog(data);
+      summaryEl.setText([
+        `Lv ${sum.level}`,
+        `${sum.quests} quest${sum.quests === 1 ? '' : 's'}${sum.archived ? ` (+${sum.archived} archived)` : ''}`,
+        `${sum.completions} completion${sum.completions === 1 ? '' : 's'}`,
+        sum.lastCompletion ? `last ${sum.lastCompletion}` : null,
+      ].filter(Boolean).join(' · '));
+
+      const compare = actions.createEl('button', { text: 'Compare', cls: 'btn-secondary', attr: { type: 'button' } });
+      compare.addEventListener('click', () => {
+        const open = !diffEl.isShown();
+        if (open && !diffEl.childElementCount) this.renderDiff(diffEl, diffQuestLogs(this.plugin.questLog, data));
+        diffEl.toggle(open);
+        compare.setText(open ? 'Hide' : 'Compare');
+      });
+      const restore = actions.createEl('button', { text: 'Restore', cls: 'btn-danger', attr: { type: 'button' } });
+      restore.addEventListener('click', async () => {
+        restore.disabled = true;
+        if (await this.plugin.restoreBackup(backup.file)) this.close();
+        else restore.disabled = false;
+      });
+    }
+  }
+
+  renderDiff(el, diff) {
+    const lines = [];
+    if (diff.levelDelta || diff.xpDelta) {
+      const sign = (n) => (n > 0 ? `+${n}` : `${n}`);
+      lines.push(`Level ${sign(diff.levelDelta)}, XP ${sign(Math.round(diff.xpDelta))}`);
+    }
+    if (diff.completionsRestored) lines.push(`${diff.completionsRestored} completion(s) only in the backup would come back`);
+    if (diff.completionsLost) lines.push(`${diff.completionsLost} completion(s) made since would be lost`);
+    if (diff.questsRestored.length) lines.push(`Quests restored: ${diff.questsRestored.join(', ')}`);
+    if (diff.questsLost.length) lines.push(`Quests removed: ${diff.questsLost.join(', ')}`);
+    for (const q of diff.questsChanged) lines.push(`"${q.name}" differs in ${q.fields.join(', ')}`);
+
+    if (!lines.length) return void el.createDiv({ cls: 'backup-diff-same', text: 'Same quests and completions as the current data.' });
+    const ul = el.createEl('ul');
+    for (const line of lines) ul.createEl('li', { text: line });
+  }
+
+  onClose() { this.contentEl.empty(); }
+}
+
 /* ========================================================================== */
 /* SETTINGS TAB                                                               */
 /* ========================================================================== */
@@ -1540,20 +5072,263 @@ class QuestLogSettingTab extends PluginSettingTab {
     containerEl.empty();
     containerEl.createEl('h2', { text: 'Daily Quest Log Settings' });
 
+    const zones = Intl.supportedValuesOf?.('timeZone') ?? ['UTC'];
+    const zone = this.plugin.settings.timeZone;
+    new Setting(containerEl)
+      .setName('Time zone')
+      .setDesc('Days, weekdays and schedules follow this time zone. Changing it moves timed entries to the day they fall on in the new zone (a backup is made first).')
+      .addDropdown((dd) => {
+        dd.addOption('', `System local time (${Intl.DateTimeFormat().resolvedOptions().timeZone})`);
+        for (const tz of zone && !zones.includes(zone) ? [zone, ...zones] : zones) dd.addOption(tz, tz);
+        dd.setValue(zone).onChange(async (value) => {
+          await this.plugin.changeDayClock({ timeZone: value });
+          this.plugin.refreshView();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName('Day starts at')
+      .setDesc('Local time a new day begins. Anything earlier counts for the previous day, e.g. 04:00 keeps a 1 AM session on the night before.')
+      .addText((text) => {
+        text.inputEl.type = 'time';
+        text.setValue(this.plugin.settings.dayStartTime);
+        // Applied when the field is committed, not on every keystroke
+        text.inputEl.addEventListener('change', async () => {
+          await this.plugin.changeDayClock({ dayStartTime: text.getValue() });
+          text.setValue(this.plugin.settings.dayStartTime);
+          this.plugin.refreshView();
+        });
+      });
+
+    containerEl.createEl('h3', { text: '⚡ XP Formula' });
+    containerEl.createEl('p', {
+      cls: 'setting-item-description',
+      text: 'XP = (base + estimate × per-minute + tracked × per-minute) × difficulty × on-time/overtime × streak.',
+    });
+
+    this.addNumberSetting(containerEl, 'xpBase', 'Base XP', 'XP every completion starts from.');
+    this.addNumberSetting(containerEl, 'xpPerEstimateMinute', 'XP per estimated minute', 'Rewards longer quests based on their time estimate.');
+    this.addNumberSetting(containerEl, 'xpPerTrackedMinute', 'XP per tracked minute', 'Rewards the time actually tracked on the timer.');
+    this.addNumberSetting(containerEl, 'xpTrackedMinutesCap', 'Tracked minutes cap', 'Tracked time beyond this many minutes earns no extra XP.');
+    this.addNumberSetting(containerEl, 'xpOnTimeBonus', 'On-time bonus (%)', 'Bonus when a timed quest is finished within its estimate.');
+    this.addNumberSetting(containerEl, 'xpOvertimePenalty', 'Overtime penalty (%)', 'Reduction when a timed quest runs past its estimate.', 100);
+    this.addNumberSetting(containerEl, 'xpStreakBonusPerDay', 'Streak bonus per day (%)', 'Bonus for each consecutive day with at least one completion.');
+    this.addNumberSetting(containerEl, 'xpStreakBonusCap', 'Streak bonus cap (%)', 'Maximum total streak bonus.');
+
+    for (const tier of DIFFICULTY_TIERS) {
+      new Setting(containerEl)
+        .setName(`${tier.label} multiplier`)
+        .setDesc(`XP multiplier for ${tier.label.toLowerCase()} quests.`)
+        .addText((text) => text
+          .setValue(String(this.plugin.settings.difficultyMultipliers[tier.key]))
+          .onChange(async (value) => {
+            const n = parseFloat(value);
+            if (!Number.isFinite(n) || n < 0) return;
+            this.plugin.settings.difficultyMultipliers[tier.key] = n;
+            await this.plugin.saveSettings();
+          }));
+    }
+
+    new Setting(containerEl)
+      .setName('Quantity quest XP')
+      .setDesc('Proportional: XP scales with the amount logged versus the target. Bonus: full XP for any amount, plus a bonus when the target is hit.')
+      .addDropdown((dd) => dd
+        .addOption('proportional', 'Proportional')
+        .addOption('bonus', 'Bonus on target')
+        .setValue(this.plugin.settings.quantityXpMode)
+        .onChange(async (value) => {
+          this.plugin.settings.quantityXpMode = value;
+          await this.plugin.saveSettings();
+        }));
+    this.addNumberSetting(containerEl, 'quantityTargetBonus', 'Target bonus (%)', 'Bonus for hitting a quantity target (bonus mode).');
+
+    containerEl.createEl('h3', { text: '⏱️ Timer' });
+    this.addNumberSetting(containerEl, 'maxSessionMinutes', 'Max session length (min)',
+      'A timer running longer than this, or through a period when Obsidian was closed or asleep, is held for review: keep, trim or discard the time. 0 turns off the length check.');
+
+    this.addNumberSetting(containerEl, 'backdateXpPercent', 'Back-dated XP (%)', 'Share of the normal XP a completion marked for a past day earns. 0 awards none.', 100);
+    this.addNumberSetting(containerEl, 'backdateMaxDays', 'Back-dating limit (days)', 'How many days back a completion can be marked. 0 means no limit.');
+
+    containerEl.createEl('h3', { text: '🍅 Pomodoro' });
+
+    new Setting(containerEl)
+      .setName('Pomodoro mode')
+      .setDesc('Run quest timers in timed work blocks that pause the quest when they end, followed by a break. Quests can override this in the editor.')
+      .addToggle((toggle) => toggle
+        .setValue(this.plugin.settings.pomodoroEnabled)
+        .onChange(async (value) => {
+          this.plugin.settings.pomodoroEnabled = value;
+          await this.plugin.saveSettings();
+          this.plugin.refreshView();
+        }));
+
+    this.addNumberSetting(containerEl, 'pomodoroWorkMinutes', 'Work block (min)', 'Length of a pomodoro.');
+    this.addNumberSetting(containerEl, 'pomodoroShortBreakMinutes', 'Short break (min)', 'Break after each pomodoro.');
+    this.addNumberSetting(containerEl, 'pomodoroLongBreakMinutes', 'Long break (min)', 'Break after every few pomodoros.');
+    this.addNumberSetting(containerEl, 'pomodoroLongBreakEvery', 'Long break every', 'Number of pomodoros between long breaks.');
+
+    containerEl.createEl('h3', { text: '🪙 Gold & Rewards' });
+    this.addNumberSetting(containerEl, 'goldPerXp', 'Gold per XP', 'Gold earned for each XP a completion awards (0 turns gold off). Spend it on rewards in the Quest Log.');
+
+    containerEl.createEl('h3', { text: '💔 Penalties' });
+
+    new Setting(containerEl)
+      .setName('Penalise missed quests')
+      .setDesc('At the rollover, every quest that was due and not done costs HP or XP, for each day since the last rollover. Only days from when this is turned on count; rest days never do.')
+      .addToggle((toggle) => toggle
+        .setValue(this.plugin.settings.penaltyEnabled)
+        .onChange(async (value) => {
+          this.plugin.settings.penaltyEnabled = value;
+          if (value) this.plugin.settings.penaltiesSince = this.plugin.today;
+          await this.plugin.saveSettings();
+          this.plugin.refreshView();
+        }));
+
+    new Setting(containerEl)
+      .setName('Penalty')
+      .setDesc('HP shows a health bar: running out costs a level and refills it. XP is taken straight from your progress.')
+      .addDropdown((dd) => dd
+        .addOption('hp', 'Lose HP')
+        .addOption('xp', 'Lose XP')
+        .setValue(this.plugin.settings.penaltyMode)
+        .onChange(async (value) => {
+          this.plugin.settings.penaltyMode = value;
+          await this.plugin.saveSettings();
+          this.plugin.refreshView();
+        }));
+
+    this.addNumberSetting(containerEl, 'penaltyHp', 'HP per missed quest', 'Health lost for each missed quest in HP mode.');
+    this.addNumberSetting(containerEl, 'maxHp', 'Max HP', 'Size of the health bar.');
+    this.addNumberSetting(containerEl, 'hpPerCompletion', 'HP healed per completion', 'Health restored by completing a quest today, up to the max.');
+    this.addNumberSetting(containerEl, 'penaltyXp', 'XP per missed quest', 'XP lost for each missed quest in XP mode.');
+
+    new Setting(containerEl)
+      .setName('Rest days')
+      .setDesc('Mark today or a vacation as rest days. Also available from the health bar and the command palette.')
+      .addButton((btn) => btn.setButtonText('Plan Rest Days').onClick(() => new RestDaysModal(this.app, this.plugin).open()));
+
+    containerEl.createEl('h3', { text: '📝 Daily Note Sync' });
+
+    new Setting(containerEl)
+      .setName('Sync checklist to daily note')
+      .setDesc("Write today's quests as a checklist into a daily note. Ticking a line there completes the quest.")
+      .addToggle((toggle) => toggle
+        .setValue(this.plugin.settings.noteSyncEnabled)
+        .onChange(async (value) => {
+          this.plugin.settings.noteSyncEnabled = value;
+          await this.plugin.saveSettings();
+          if (value) await this.plugin.syncDailyNote();
+        }));
+
+    new Setting(containerEl)
+      .setName('Daily note path')
+      .setDesc('Path of the note to sync. {{date}} is replaced with the quest day (YYYY-MM-DD).')
+      .addText((text) => text
+        .setPlaceholder(DEFAULT_SETTINGS.noteSyncPath)
+        .setValue(this.plugin.settings.noteSyncPath)
+        .onChange(async (value) => {
+          this.plugin.settings.noteSyncPath = value.trim() || DEFAULT_SETTINGS.noteSyncPath;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Heading')
+      .setDesc('The checklist is placed under this heading (added to the note if missing).')
+      .addText((text) => text
+        .setPlaceholder(DEFAULT_SETTINGS.noteSyncHeading)
+        .setValue(this.plugin.settings.noteSyncHeading)
+        .onChange(async (value) => {
+          this.plugin.settings.noteSyncHeading = value.trim() || DEFAULT_SETTINGS.noteSyncHeading;
+          await this.plugin.saveSettings();
+        }));
+
     new Setting(containerEl)
-      .setName('Rollover Offset (UTC)')
-      .setDesc('Adjust when your "new day" begins relative to UTC. (e.g., -5 for EST, +9 for JST). Default is 0 (UTC midnight).')
-      .addSlider(slider => slider
-        .setLimits(-12, 14, 1)
-        .setValue(this.plugin.settings.rolloverOffset)
-        .setDynamicTooltip()
+      .setName('Sync now')
+      .setDesc("Rewrite today's checklist in the daily note.")
+      .addButton((btn) => btn.setButtonText('Sync').onClick(() => this.plugin.syncDailyNote()));
+
+    containerEl.createEl('h3', { text: '🗂️ Quest Notes' });
+
+    new Setting(containerEl)
+      .setName('Store quests as notes')
+      .setDesc('Back each quest with a note whose frontmatter holds name, category, schedule, estimateMinutes and archived. Notes in the folder are indexed as quests, and edits in the plugin are written back.')
+      .addToggle((toggle) => toggle
+        .setValue(this.plugin.settings.questNotesEnabled)
         .onChange(async (value) => {
-          this.plugin.settings.rolloverOffset = value;
+          this.plugin.settings.questNotesEnabled = value;
           await this.plugin.saveSettings();
-          this.plugin.ensureDailyRollover();
+          await this.plugin.indexQuestNotes();
           this.plugin.refreshView();
         }));
 
+    new Setting(containerEl)
+      .setName('Quest notes folder')
+      .setDesc('Folder that holds one note per quest.')
+      .addText((text) => text
+        .setPlaceholder(DEFAULT_SETTINGS.questNotesFolder)
+        .setValue(this.plugin.settings.questNotesFolder)
+        .onChange(async (value) => {
+          this.plugin.settings.questNotesFolder = value.trim() || DEFAULT_SETTINGS.questNotesFolder;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Create notes for existing quests')
+      .setDesc('Write a note for every quest that is only stored in questlog.json, then re-index the folder.')
+      .addButton((btn) => btn.setButtonText('Create Notes').onClick(async () => {
+        if (!this.plugin.settings.questNotesEnabled) return void new Notice('Enable "Store quests as notes" first.');
+        await this.plugin.exportQuestsToNotes();
+        await this.plugin.indexQuestNotes();
+      }));
+
+    containerEl.createEl('h3', { text: '📊 Reports' });
+
+    new Setting(containerEl)
+      .setName('Report path')
+      .setDesc('Where reports are written. {{period}} becomes e.g. 2026-W07, 2026-03 or 2026; {{start}}, {{end}}, {{date}} (generation day) and {{filter}} (quest or category name, or "all") are also replaced. Reports with the same path are overwritten.')
+      .addText((text) => text
+        .setPlaceholder(DEFAULT_SETTINGS.reportPath)
+        .setValue(this.plugin.settings.reportPath)
+        .onChange(async (value) => {
+          this.plugin.settings.reportPath = value.trim() || DEFAULT_SETTINGS.reportPath;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Weekly report')
+      .setDesc('Generate a report for each week (Mon–Sun) when it ends, at the daily rollover.')
+      .addToggle((toggle) => toggle
+        .setValue(this.plugin.settings.autoReportWeekly)
+        .onChange(async (value) => {
+          this.plugin.settings.autoReportWeekly = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Monthly report')
+      .setDesc('Generate a report for each month when it ends, at the daily rollover.')
+      .addToggle((toggle) => toggle
+        .setValue(this.plugin.settings.autoReportMonthly)
+        .onChange(async (value) => {
+          this.plugin.settings.autoReportMonthly = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Report template')
+      .setDesc('Note whose content drives the report. Section placeholders such as {{profile}}, {{topQuests}}, {{timeByQuest}}, {{quantity}}, {{streaks}}, {{categoryChart}}, {{categoryTable}}, {{summary}}, {{adherence}}, {{estimates}}, {{achievements}}, {{rewards}}, {{penalties}}, {{xpChart}} and {{activity}} expand to whole sections; remove one to leave it out. Leave empty for the built-in template.')
+      .addText((text) => text
+        .setPlaceholder('Templates/Quest Report.md')
+        .setValue(this.plugin.settings.reportTemplatePath)
+        .onChange(async (value) => {
+          this.plugin.settings.reportTemplatePath = value.trim();
+          await this.plugin.saveSettings();
+        }))
+      .addButton((btn) => btn.setButtonText('Create Template').onClick(async () => {
+        await this.plugin.createReportTemplate();
+        this.display();
+      }));
+
     containerEl.createEl('h3', { text: '💾 Backup & Restore' });
 
     new Setting(containerEl)
@@ -1578,10 +5353,42 @@ class QuestLogSettingTab extends PluginSettingTab {
         input.click();
       }));
 
+    new Setting(containerEl)
+      .setName('Restore from backup')
+      .setDesc(`Browse the daily backups in ${BACKUP_FOLDER_NAME}/, compare them with the current data and restore one.`)
+      .addButton((btn) => btn.setButtonText('Browse Backups').onClick(() => new BackupBrowserModal(this.app, this.plugin).open()));
+
+    this.addNumberSetting(containerEl, 'backupKeepDaily', 'Keep daily backups', 'Keep every backup from this many most recent days.');
+    this.addNumberSetting(containerEl, 'backupKeepWeekly', 'Keep weekly backups', 'Also keep the newest backup of this many recent weeks.');
+    this.addNumberSetting(containerEl, 'backupKeepMonthly', 'Keep monthly backups', 'Also keep the newest backup of this many recent months. Set all three to 0 to never prune.');
+
+    new Setting(containerEl)
+      .setName('Prune backups now')
+      .setDesc('Old backups are pruned whenever a new one is written. Run it now after changing the limits.')
+      .addButton((btn) => btn.setButtonText('Prune').onClick(async () => {
+        const removed = await this.plugin.pruneBackups();
+        new Notice(`🧹 Removed ${removed} old backup${removed === 1 ? '' : 's'}`);
+      }));
+
     containerEl.createEl('h3', { text: '⚠️ Danger Zone' });
     new Setting(containerEl)
       .setName('Reset All Data')
       .setDesc('Permanently delete all quests, completions, and reset level/XP. This cannot be undone!')
       .addButton((btn) => btn.setButtonText('Reset All Data').setWarning().onClick(async () => await this.plugin.resetAllData()));
   }
+
+  addNumberSetting(containerEl, key, name, desc, max = Infinity) {
+    new Setting(containerEl)
+      .setName(name)
+      .setDesc(desc)
+      .addText((text) => text
+        .setPlaceholder(String(DEFAULT_SETTINGS[key]))
+        .setValue(String(this.plugin.settings[key]))
+        .onChange(async (value) => {
+          const n = parseFloat(value);
+          if (!Number.isFinite(n) || n < 0 || n > max) return;
+          this.plugin.settings[key] = n;
+          await this.plugin.saveSettings();
+        }));
+  }
 }
\ No newline at end of file